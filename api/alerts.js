@@ -0,0 +1,61 @@
+// api/alerts.js
+// Alert rules and the alerts they fired (lib/alerts.js), newest first.
+//   GET /api/alerts?rule=<name>&limit=50
+// Rules are managed in SQL; see migrations/008_alerts.sql for the kinds.
+
+import pg from "pg";
+import { withAuth } from "../lib/auth.js";
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+export default withAuth("read", async function handler(req, res) {
+  const rule = req.query.rule ? String(req.query.rule) : null;
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  const client = await pool.connect();
+
+  try {
+    const rules = await client.query(
+      `
+      SELECT id, name, kind, params, channels, cooldown_minutes, enabled, created_at
+      FROM alert_rules
+      ORDER BY id
+      `
+    );
+
+    const events = await client.query(
+      `
+      SELECT e.id, r.name AS rule, r.kind, e.dedupe_key, e.message,
+             e.payload, e.deliveries, e.fired_at
+      FROM alert_events e
+      JOIN alert_rules r ON r.id = e.rule_id
+      WHERE $1::text IS NULL OR r.name = $1
+      ORDER BY e.id DESC
+      LIMIT $2
+      `,
+      [rule, limit]
+    );
+
+    return res.json({
+      ok: true,
+      rules: rules.rows.map((r) => ({ ...r, id: Number(r.id) })),
+      count: events.rows.length,
+      events: events.rows.map((e) => ({ ...e, id: Number(e.id) })),
+    });
+  } catch (err) {
+    console.error("alerts error:", err);
+    return res.status(500).json({ error: "unhandled_exception" });
+  } finally {
+    client.release();
+  }
+});
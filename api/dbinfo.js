@@ -1,7 +1,8 @@
 // api/dbinfo.js
 import { Pool } from "pg";
+import { withAuth } from "../lib/auth.js";
 
-export default async function handler(req, res) {
+export default withAuth("admin", async function handler(req, res) {
   const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
   try {
@@ -25,4 +26,4 @@ export default async function handler(req, res) {
   } finally {
     await pool.end();
   }
-}
+});
@@ -1,7 +1,8 @@
 import pg from "pg";
+import { withAuth } from "../lib/auth.js";
 const { Client } = pg;
 
-export default async function handler(req, res) {
+export default withAuth("admin", async function handler(req, res) {
   const url = process.env.DATABASE_URL;
   if (!url) {
     return res.status(500).json({ ok: false, error: "DATABASE_URL is missing" });
@@ -28,4 +29,4 @@ export default async function handler(req, res) {
   } finally {
     try { await client.end(); } catch {}
   }
-}
+});
@@ -1,5 +1,16 @@
 // api/envcheck.js — shows DB + PRICE_CSV_URL and tests the CSV link
-export default async function handler(req, res) {
+
+import { withAuth } from "../lib/auth.js";
+
+function urlHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return null;
+  }
+}
+
+export default withAuth("admin", async function handler(req, res) {
   const db = process.env.DATABASE_URL || "";
   const priceUrl = process.env.PRICE_CSV_URL || "";
 
@@ -27,9 +38,9 @@ export default async function handler(req, res) {
     price_csv_url: {
       present: !!priceUrl,
       len: priceUrl.length,
-      beginsWith: priceUrl.slice(0, 60),
+      host: urlHost(priceUrl),      // the path carries the sheet id; never echo it
       status: priceStatus,          // expect 200
       error: priceErr
     }
   });
-}
+});
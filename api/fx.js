@@ -0,0 +1,61 @@
+// api/fx.js
+// Latest FX rates from fx_rates_latest (lib/fx.js).
+//   GET /api/fx                          -> every loaded currency, per 1 unit in BASE_CURRENCY
+//   GET /api/fx?base=EUR                 -> ... in EUR
+//   &currencies=GBP,JPY                  -> filter
+//   &format=csv
+
+import pg from "pg";
+import { withAuth } from "../lib/auth.js";
+import { BASE_CURRENCY, parseCurrencyParam, queryLatestRates } from "../lib/fx.js";
+import { parseFormat, parseList, sendCsv } from "../lib/http.js";
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const CSV_COLUMNS = ["currency", "rate", "usd_rate", "pair", "asof_ts", "source", "age_minutes"];
+
+export default withAuth("read", async function handler(req, res) {
+  let format, base;
+  try {
+    format = parseFormat(req.query.format);
+    base = parseCurrencyParam(req.query.base, BASE_CURRENCY);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const currencies = parseList(req.query.currencies ?? req.query.currency);
+
+  const client = await pool.connect();
+
+  try {
+    const rates = await queryLatestRates(client, { base, currencies });
+
+    // A base we have no rate for converts nothing
+    if (rates.length && rates.every((r) => r.rate === null)) {
+      return res.status(404).json({ ok: false, error: "unknown_base", base });
+    }
+
+    if (format === "csv") {
+      return sendCsv(res, rates, `fx_${base}.csv`, CSV_COLUMNS);
+    }
+
+    const found = new Set(rates.map((r) => r.currency));
+
+    return res.json({
+      ok: true,
+      base_currency: base,
+      count: rates.length,
+      missing: currencies.filter((c) => !found.has(c)),
+      rates,
+    });
+  } catch (err) {
+    console.error("fx error:", err);
+    return res.status(500).json({ error: "unhandled_exception" });
+  } finally {
+    client.release();
+  }
+});
@@ -1,7 +1,8 @@
 import pg from "pg";
+import { withAuth } from "../lib/auth.js";
 const { Client } = pg;
 
-export default async function handler(req, res) {
+export default withAuth("read", async function handler(req, res) {
   const client = new Client({
     connectionString: process.env.DATABASE_URL,
     ssl: { rejectUnauthorized: false }
@@ -23,4 +24,4 @@ export default async function handler(req, res) {
   } finally {
     await client.end().catch(() => {});
   }
-}
+});
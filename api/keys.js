@@ -0,0 +1,59 @@
+// api/keys.js
+// API key management for admins (lib/auth.js).
+//   GET  /api/keys                                          list keys (never the secrets)
+//   POST /api/keys {"action":"create","name":"cron","scopes":["ingest"]}
+//   POST /api/keys {"action":"rotate","name":"cron","grace_minutes":60}
+//   POST /api/keys {"action":"revoke","name":"cron"}  or  {"action":"revoke","prefix":"1a2b3c4d"}
+// create / rotate return the new key once; it cannot be read back later.
+
+import pg from "pg";
+import { createKey, listKeys, revokeKeys, rotateKey, withAuth } from "../lib/auth.js";
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+// Errors lib/auth.js throws for bad input rather than a broken database
+const BAD_INPUT = /^(bad_scopes|bad_grace_minutes|missing_name|missing_name_or_prefix|no_active_key)/;
+
+export default withAuth("admin", async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "method_not_allowed" });
+  }
+
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const client = await pool.connect();
+
+  try {
+    if (req.method === "GET") {
+      return res.json({ ok: true, keys: await listKeys(client) });
+    }
+
+    switch (body.action) {
+      case "create": {
+        const scopes = Array.isArray(body.scopes) ? body.scopes : String(body.scopes || "").split(",");
+        return res.status(201).json({ ok: true, ...(await createKey(client, { name: body.name, scopes })) });
+      }
+      case "rotate": {
+        const graceMinutes = body.grace_minutes === undefined ? undefined : Number(body.grace_minutes);
+        return res.status(201).json({ ok: true, ...(await rotateKey(client, body.name, { graceMinutes })) });
+      }
+      case "revoke": {
+        const revoked = await revokeKeys(client, { name: body.name ?? null, prefix: body.prefix ?? null });
+        return res.json({ ok: true, revoked });
+      }
+      default:
+        return res.status(400).json({ error: "bad_action", allowed: ["create", "rotate", "revoke"] });
+    }
+  } catch (err) {
+    if (BAD_INPUT.test(err.message)) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("keys error:", err);
+    return res.status(500).json({ error: "unhandled_exception" });
+  } finally {
+    client.release();
+  }
+});
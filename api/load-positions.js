@@ -1,30 +1,34 @@
 // api/load-positions.js
-import { Client } from "pg";
+// Loads holdings (account, ticker, quantity, cost basis, open date) from
+// POSITIONS_CSV_URL into positions_latest + a dated positions_history
+// snapshot. Parsing, validation and writes live in lib/positions.js.
+//   GET /api/load-positions?source=manual&force=1
+// force=1 reloads even if the CSV is unchanged since the last load; an
+// unchanged CSV still snapshots the current holdings under today's date.
+
+import pg from "pg";
+import { withAuth } from "../lib/auth.js";
+import { ingestPositions } from "../lib/positions.js";
+
+const { Client } = pg;
 
 export const config = { runtime: "nodejs" };
 
-export default async function handler(req, res) {
+export default withAuth("ingest", async function handler(req, res) {
   const client = new Client({ connectionString: process.env.DATABASE_URL });
 
+  const source = String(req.query.source || "unknown");
+  const force = String(req.query.force || "0") === "1";
+
   try {
     await client.connect();
 
-    // ✅ Log exactly which role/DB/schema the loader is using
-    const who = await client.query(
-      "select current_user, current_database(), current_schema"
-    );
-    console.log("DB WhoAmI:", who.rows[0]);
-
-    // (Optional) quick ping to prove we can query
-    const ping = await client.query("select now()");
-    console.log("DB Ping:", ping.rows[0]);
-
-    // Temporary success response so we can re-run this endpoint freely
-    res.status(200).json({ ok: true, whoami: who.rows[0] });
+    const result = await ingestPositions(client, { source, force });
+    res.status(result.httpStatus).json(result.body);
   } catch (err) {
     console.error("load-positions error:", err);
     res.status(500).json({ ok: false, error: String(err?.message || err) });
   } finally {
     try { await client.end(); } catch {}
   }
-}
+});
@@ -0,0 +1,114 @@
+// api/metals/analytics.js
+// Curve analytics per as_of_date and metal from metals_curve_history
+// (lib/analytics.js): annualized slope, implied carry, roll yield,
+// front-to-12m spread, contango/backwardation, and gold/silver ratio by tenor.
+//   GET /api/metals/analytics?from=2024-01-01&to=2024-06-30&metals=gold,silver&format=csv
+// Defaults: last 90 days, all metals. CSV returns the per-metal rows only.
+// Curves are resampled onto the standard tenor grid first (lib/interpolate.js)
+// so every date is measured on the same tenors; &method=linear|pchip and
+// &tenors=1,3,6,12 override the grid, &grid=raw uses the quoted tenors as-is.
+
+import pg from "pg";
+import { curveMetrics, goldSilverRatio } from "../../lib/analytics.js";
+import { withAuth } from "../../lib/auth.js";
+import { addDays } from "../../lib/calendar.js";
+import { loadCurveHistory } from "../../lib/curves.js";
+import { parseDateParam, parseFormat, parseList, sendCsv } from "../../lib/http.js";
+import { parseMethodParam, parseTenorsParam, resampleCurve } from "../../lib/interpolate.js";
+import { getTodayCT } from "../../lib/metals.js";
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const DEFAULT_DAYS = 90;
+
+const CSV_COLUMNS = [
+  "as_of_date",
+  "metal",
+  "tenors",
+  "front_tenor_months",
+  "front_price",
+  "price_12m",
+  "annualized_slope_pct",
+  "implied_carry_pct",
+  "roll_yield_pct",
+  "front_12m_spread",
+  "front_12m_spread_pct",
+  "structure",
+];
+
+export default withAuth("read", async function handler(req, res) {
+  let from, to, format, method, tenors;
+  try {
+    to = parseDateParam(req.query.to, "to") ?? getTodayCT();
+    from = parseDateParam(req.query.from, "from") ?? addDays(to, -DEFAULT_DAYS);
+    format = parseFormat(req.query.format);
+    method = parseMethodParam(req.query.method);
+    tenors = parseTenorsParam(req.query.tenors);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (from > to) {
+    return res.status(400).json({ error: "from_must_not_be_after_to" });
+  }
+
+  const grid = String(req.query.grid || "standard").toLowerCase();
+  if (grid !== "standard" && grid !== "raw") {
+    return res.status(400).json({ error: "bad_grid" });
+  }
+
+  const metals = parseList(req.query.metals ?? req.query.metal, { upper: false }).map((m) =>
+    m.toLowerCase()
+  );
+
+  const client = await pool.connect();
+
+  try {
+    const stored = await loadCurveHistory(client, { from, to, metals });
+    const curves =
+      grid === "raw" ? stored : stored.map((c) => resampleCurve(c, { tenors, method }));
+
+    const rows = curves.map((c) => ({
+      as_of_date: c.as_of_date,
+      metal: c.metal,
+      ...curveMetrics(c.points),
+    }));
+
+    if (format === "csv") {
+      return sendCsv(res, rows, `metals_analytics_${from}_${to}.csv`, CSV_COLUMNS);
+    }
+
+    // Gold/silver ratio for every date that has both curves
+    const byDate = new Map();
+    for (const c of curves) {
+      if (!byDate.has(c.as_of_date)) byDate.set(c.as_of_date, {});
+      byDate.get(c.as_of_date)[c.metal] = c.points;
+    }
+    const ratios = [];
+    for (const [asOfDate, m] of byDate) {
+      if (m.gold && m.silver) {
+        ratios.push({ as_of_date: asOfDate, by_tenor: goldSilverRatio(m.gold, m.silver) });
+      }
+    }
+
+    return res.json({
+      ok: true,
+      from,
+      to,
+      grid,
+      method: grid === "raw" ? null : method,
+      tenors: grid === "raw" ? null : tenors,
+      count: rows.length,
+      curves: rows,
+      gold_silver_ratio: ratios,
+    });
+  } catch (err) {
+    console.error("metals/analytics error:", err);
+    return res.status(500).json({ error: "unhandled_exception" });
+  } finally {
+    client.release();
+  }
+});
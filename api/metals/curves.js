@@ -0,0 +1,88 @@
+// api/metals/curves.js
+// Stored curves from metals_curve_history resampled onto the standard tenor
+// grid (lib/interpolate.js), so every as_of_date has the same tenors.
+//   GET /api/metals/curves?from=2024-01-01&to=2024-06-30&metals=gold&method=pchip&tenors=1,3,6,12,24,36
+// Defaults: last 90 days, all metals, METALS_STANDARD_TENORS grid and
+// METALS_INTERPOLATION method. Grid tenors outside a day's quoted range are
+// left out rather than extrapolated. &format=csv returns one row per point.
+
+import pg from "pg";
+import { withAuth } from "../../lib/auth.js";
+import { addDays } from "../../lib/calendar.js";
+import { loadCurveHistory } from "../../lib/curves.js";
+import { parseDateParam, parseFormat, parseList, sendCsv } from "../../lib/http.js";
+import { parseMethodParam, parseTenorsParam, resampleCurve } from "../../lib/interpolate.js";
+import { getTodayCT } from "../../lib/metals.js";
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const DEFAULT_DAYS = 90;
+
+const CSV_COLUMNS = [
+  "as_of_date",
+  "metal",
+  "tenor_months",
+  "price",
+  "real_10yr_yld",
+  "dollar_index",
+  "deficit_gdp_flag",
+];
+
+const round = (v) => Math.round(v * 10000) / 10000;
+
+export default withAuth("read", async function handler(req, res) {
+  let from, to, format, method, tenors;
+  try {
+    to = parseDateParam(req.query.to, "to") ?? getTodayCT();
+    from = parseDateParam(req.query.from, "from") ?? addDays(to, -DEFAULT_DAYS);
+    format = parseFormat(req.query.format);
+    method = parseMethodParam(req.query.method);
+    tenors = parseTenorsParam(req.query.tenors);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (from > to) {
+    return res.status(400).json({ error: "from_must_not_be_after_to" });
+  }
+
+  const metals = parseList(req.query.metals ?? req.query.metal, { upper: false }).map((m) =>
+    m.toLowerCase()
+  );
+
+  const client = await pool.connect();
+
+  try {
+    const stored = await loadCurveHistory(client, { from, to, metals });
+    const curves = stored.map((c) => {
+      const resampled = resampleCurve(c, { tenors, method });
+      return {
+        ...resampled,
+        points: resampled.points.map((p) => ({ ...p, price: round(p.price) })),
+      };
+    });
+
+    if (format === "csv") {
+      const rows = curves.flatMap(({ points, ...c }) => points.map((p) => ({ ...c, ...p })));
+      return sendCsv(res, rows, `metals_curves_${from}_${to}.csv`, CSV_COLUMNS);
+    }
+
+    return res.json({
+      ok: true,
+      from,
+      to,
+      method,
+      tenors,
+      count: curves.length,
+      curves,
+    });
+  } catch (err) {
+    console.error("metals/curves error:", err);
+    return res.status(500).json({ error: "unhandled_exception" });
+  } finally {
+    client.release();
+  }
+});
@@ -0,0 +1,104 @@
+// api/metals/factors.js
+// Rolling macro-factor regression of front-month gold/silver returns on
+// real_10yr_yld and dollar_index changes (lib/factors.js): betas, R²,
+// residual z-score and a factor-implied fair value per as_of_date.
+//   GET /api/metals/factors?from=2024-01-01&to=2024-06-30&metals=gold&window=60&format=csv
+// Defaults: last 90 days, all metals, METALS_FACTOR_WINDOW observations.
+// Earlier history is read as needed so the first dates have a full window.
+
+import pg from "pg";
+import { withAuth } from "../../lib/auth.js";
+import { addDays } from "../../lib/calendar.js";
+import { loadCurveHistory } from "../../lib/curves.js";
+import { FACTOR_WINDOW, MIN_WINDOW, rollingFactorModel } from "../../lib/factors.js";
+import { parseDateParam, parseFormat, parseList, sendCsv } from "../../lib/http.js";
+import { getTodayCT } from "../../lib/metals.js";
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const DEFAULT_DAYS = 90;
+const MAX_WINDOW = 500;
+
+const CSV_COLUMNS = [
+  "as_of_date",
+  "metal",
+  "price",
+  "fair_value",
+  "residual_z",
+  "beta_real_yld",
+  "beta_dollar_index",
+  "alpha",
+  "r2",
+  "observations",
+  "real_10yr_yld",
+  "dollar_index",
+];
+
+export default withAuth("read", async function handler(req, res) {
+  let from, to, format;
+  try {
+    to = parseDateParam(req.query.to, "to") ?? getTodayCT();
+    from = parseDateParam(req.query.from, "from") ?? addDays(to, -DEFAULT_DAYS);
+    format = parseFormat(req.query.format);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (from > to) {
+    return res.status(400).json({ error: "from_must_not_be_after_to" });
+  }
+
+  const window = req.query.window ? Number(req.query.window) : FACTOR_WINDOW;
+  if (!Number.isInteger(window) || window < MIN_WINDOW || window > MAX_WINDOW) {
+    return res.status(400).json({ error: "bad_window" });
+  }
+
+  const metals = parseList(req.query.metals ?? req.query.metal, { upper: false }).map((m) =>
+    m.toLowerCase()
+  );
+
+  const client = await pool.connect();
+
+  try {
+    // Trading days are ~5/7 of calendar days; twice the window covers
+    // weekends and holidays with room to spare
+    const curves = await loadCurveHistory(client, {
+      from: addDays(from, -(window * 2 + 7)),
+      to,
+      metals,
+    });
+
+    const byMetal = new Map();
+    for (const c of curves) {
+      if (!byMetal.has(c.metal)) byMetal.set(c.metal, []);
+      byMetal.get(c.metal).push(c);
+    }
+
+    const series = [];
+    for (const [metal, metalCurves] of byMetal) {
+      const rows = rollingFactorModel(metalCurves, { window })
+        .filter((r) => r.as_of_date >= from)
+        .map((r) => ({ metal, ...r }));
+      series.push({ metal, latest: rows[rows.length - 1] ?? null, rows });
+    }
+
+    if (format === "csv") {
+      return sendCsv(
+        res,
+        series.flatMap((s) => s.rows),
+        `metals_factors_${from}_${to}.csv`,
+        CSV_COLUMNS
+      );
+    }
+
+    return res.json({ ok: true, from, to, window, series });
+  } catch (err) {
+    console.error("metals/factors error:", err);
+    return res.status(500).json({ error: "unhandled_exception" });
+  } finally {
+    client.release();
+  }
+});
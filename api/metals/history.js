@@ -0,0 +1,86 @@
+// api/metals/history.js
+// Stored metals curves from metals_curve_history, one curve per as_of_date
+// and metal with its macro factors. A re-ingested date returns its current
+// version; /api/metals/versions lists and diffs the others.
+//   GET /api/metals/history?from=2024-01-01&to=2024-06-30&metals=gold&tenors=1,3,12&format=csv
+// Defaults: last 90 days, all metals, every quoted tenor. Tenors are the
+// sheet's own; /api/metals/curves serves them resampled onto a fixed grid.
+// &format=csv returns one row per (date, metal, tenor).
+
+import pg from "pg";
+import { withAuth } from "../../lib/auth.js";
+import { addDays } from "../../lib/calendar.js";
+import { loadCurveHistory } from "../../lib/curves.js";
+import { parseDateParam, parseFormat, parseList, sendCsv } from "../../lib/http.js";
+import { parseTenorGrid } from "../../lib/interpolate.js";
+import { getTodayCT } from "../../lib/metals.js";
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const DEFAULT_DAYS = 90;
+
+const CSV_COLUMNS = [
+  "as_of_date",
+  "metal",
+  "tenor_months",
+  "price",
+  "real_10yr_yld",
+  "dollar_index",
+  "deficit_gdp_flag",
+  "inserted_at",
+  "version",
+];
+
+export default withAuth("read", async function handler(req, res) {
+  let from, to, format;
+  try {
+    to = parseDateParam(req.query.to, "to") ?? getTodayCT();
+    from = parseDateParam(req.query.from, "from") ?? addDays(to, -DEFAULT_DAYS);
+    format = parseFormat(req.query.format);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (from > to) {
+    return res.status(400).json({ error: "from_must_not_be_after_to" });
+  }
+
+  const metals = parseList(req.query.metals ?? req.query.metal, { upper: false }).map((m) =>
+    m.toLowerCase()
+  );
+
+  const tenorsParam = parseList(req.query.tenors ?? req.query.tenor).join(",");
+  const tenors = parseTenorGrid(tenorsParam);
+  if (tenorsParam && tenors.length !== tenorsParam.split(",").length) {
+    return res.status(400).json({ error: "bad_tenors" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const curves = await loadCurveHistory(client, { from, to, metals, tenors });
+
+    if (format === "csv") {
+      const rows = curves.flatMap(({ points, ...c }) => points.map((p) => ({ ...c, ...p })));
+      return sendCsv(res, rows, `metals_history_${from}_${to}.csv`, CSV_COLUMNS);
+    }
+
+    return res.json({
+      ok: true,
+      from,
+      to,
+      metals: metals.length ? metals : null,
+      tenors: tenors.length ? tenors : null,
+      count: curves.length,
+      curves,
+    });
+  } catch (err) {
+    console.error("metals/history error:", err);
+    return res.status(500).json({ error: "unhandled_exception" });
+  } finally {
+    client.release();
+  }
+});
@@ -0,0 +1,163 @@
+// api/metals/versions.js
+// Versions of one as_of_date's metals curve (migrations/011_metals_versions.sql):
+// every load is kept, reads elsewhere use the current one.
+//   GET  /api/metals/versions?date=2024-06-03              -> versions, and what the
+//                                                             current one changed vs. the one before
+//   GET  /api/metals/versions?date=2024-06-03&version=2    -> that snapshot's rows (&format=csv)
+//   GET  /api/metals/versions?date=2024-06-03&compare=1    -> diff 1 -> current (&version=N for N)
+//   POST /api/metals/versions {"date":"2024-06-03","version":2,"source":"manual"}
+//                                                           -> restore 2 as a new current version
+// GET needs the read scope, POST the ingest scope (lib/auth.js).
+
+import pg from "pg";
+import { withAuth } from "../../lib/auth.js";
+import { diffCurveRows, listCurveVersions, loadCurveVersion } from "../../lib/curves.js";
+import { parseDateParam, parseFormat, sendCsv } from "../../lib/http.js";
+import { restoreCurveVersion } from "../../lib/metals.js";
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const CSV_COLUMNS = [
+  "as_of_date",
+  "version",
+  "metal",
+  "tenor_months",
+  "price",
+  "real_10yr_yld",
+  "dollar_index",
+  "deficit_gdp_flag",
+];
+
+// Positive integer version param; null when absent, throws bad_<name>
+function parseVersionParam(value, name) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`bad_${name}`);
+  return n;
+}
+
+const read = withAuth("read", async function handler(req, res) {
+  let date, version, compare, format;
+  try {
+    date = parseDateParam(req.query.date, "date");
+    version = parseVersionParam(req.query.version, "version");
+    compare = parseVersionParam(req.query.compare, "compare");
+    format = parseFormat(req.query.format);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (!date) return res.status(400).json({ error: "missing_date" });
+
+  const client = await pool.connect();
+
+  try {
+    const versions = await listCurveVersions(client, date);
+    if (!versions.length) {
+      return res.status(404).json({ ok: false, error: "no_versions", as_of_date: date });
+    }
+
+    const current = versions.find((v) => v.is_current)?.version ?? null;
+    const known = new Set(versions.map((v) => v.version));
+    for (const v of [version, compare]) {
+      if (v !== null && !known.has(v)) {
+        return res.status(404).json({ ok: false, error: "unknown_version", as_of_date: date, version: v });
+      }
+    }
+
+    const shown = version ?? current;
+
+    // One snapshot
+    if (version !== null && compare === null) {
+      const rows = await loadCurveVersion(client, date, version);
+      if (format === "csv") {
+        return sendCsv(
+          res,
+          rows.map((r) => ({ as_of_date: date, version, ...r })),
+          `metals_${date}_v${version}.csv`,
+          CSV_COLUMNS
+        );
+      }
+      return res.json({
+        ok: true,
+        as_of_date: date,
+        version,
+        is_current: version === current,
+        count: rows.length,
+        rows,
+      });
+    }
+
+    // Diff: compare -> shown, or the version before the current one -> current
+    const base = compare ?? versions.find((v) => v.version < shown)?.version ?? null;
+    const changes =
+      base === null
+        ? []
+        : diffCurveRows(await loadCurveVersion(client, date, base), await loadCurveVersion(client, date, shown));
+
+    return res.json({
+      ok: true,
+      as_of_date: date,
+      current_version: current,
+      versions,
+      diff: { from_version: base, to_version: shown, count: changes.length, changes },
+    });
+  } catch (err) {
+    console.error("metals/versions error:", err);
+    return res.status(500).json({ error: "unhandled_exception" });
+  } finally {
+    client.release();
+  }
+});
+
+const restore = withAuth("ingest", async function handler(req, res) {
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+
+  let date, version;
+  try {
+    date = parseDateParam(body.date ?? req.query.date, "date");
+    version = parseVersionParam(body.version ?? req.query.version, "version");
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (!date || version === null) return res.status(400).json({ error: "missing_date_or_version" });
+
+  const source = String(body.source ?? req.query.source ?? "unknown");
+  const client = await pool.connect();
+
+  try {
+    const result = await restoreCurveVersion(client, date, version, { source });
+
+    if (result.status === "not_found") {
+      return res.status(404).json({ ok: false, error: "unknown_version", as_of_date: date, version });
+    }
+    if (result.status === "already_current") {
+      return res.status(409).json({ ok: false, error: "already_current", as_of_date: date, version });
+    }
+
+    const changes = diffCurveRows(
+      await loadCurveVersion(client, date, result.previous),
+      await loadCurveVersion(client, date, result.version)
+    );
+
+    return res.json({
+      ok: true,
+      ...result,
+      diff: { from_version: result.previous, to_version: result.version, count: changes.length, changes },
+    });
+  } catch (err) {
+    console.error("metals/versions restore error:", err);
+    return res.status(500).json({ error: "unhandled_exception" });
+  } finally {
+    client.release();
+  }
+});
+
+export default async function handler(req, res) {
+  if (req.method === "GET") return read(req, res);
+  if (req.method === "POST") return restore(req, res);
+  return res.status(405).json({ error: "method_not_allowed" });
+}
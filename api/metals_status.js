@@ -1,5 +1,8 @@
 // api/metals_status.js
 import pg from "pg";
+import { withAuth } from "../lib/auth.js";
+import { expectedAsOfDate } from "../lib/calendar.js";
+import { getTodayCT } from "../lib/metals.js";
 
 const { Pool } = pg;
 
@@ -7,27 +10,14 @@ const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
-export default async function handler(req, res) {
-  const auth = req.headers.authorization || "";
-  const token = auth.replace("Bearer ", "").trim();
-
-  if (!process.env.METALS_INGEST_TOKEN) {
-    return res
-      .status(500)
-      .json({ error: "METALS_INGEST_TOKEN not configured in environment" });
-  }
-
-  if (token !== process.env.METALS_INGEST_TOKEN) {
-    return res.status(401).json({ error: "unauthorized" });
-  }
-
+export default withAuth("read", async function handler(req, res) {
   const client = await pool.connect();
 
   try {
     // Latest date in metals_curve_latest
     const latest = await client.query(
       `
-        SELECT as_of_date, COUNT(*) AS total_rows
+        SELECT as_of_date, as_of_date::text AS as_of_text, COUNT(*) AS total_rows
         FROM metals_curve_latest
         GROUP BY as_of_date
         ORDER BY as_of_date DESC
@@ -42,7 +32,10 @@ export default async function handler(req, res) {
       });
     }
 
-    const { as_of_date, total_rows } = latest.rows[0];
+    const { as_of_date, as_of_text, total_rows } = latest.rows[0];
+
+    // What the sheet should be on today (prior business day on a closed day)
+    const expected = expectedAsOfDate("comex", getTodayCT());
 
     // Breakdown by metal for that date
     const perMetal = await client.query(
@@ -66,6 +59,8 @@ export default async function handler(req, res) {
       as_of_date,
       total_rows: Number(total_rows),
       per_metal: perMetalMap,
+      expected_as_of_date: expected,
+      up_to_date: as_of_text >= expected,
     });
   } catch (err) {
     console.error("metals_status error:", err);
@@ -73,4 +68,4 @@ export default async function handler(req, res) {
   } finally {
     client.release();
   }
-}
+});
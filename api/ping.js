@@ -1,3 +1,8 @@
+// api/ping.js
+// Liveness check for uptime monitors. Intentionally public: no key, no
+// database, nothing but a fixed response. /api/health (read scope) checks
+// the database.
+
 export default function handler(req, res) {
   res.status(200).json({ ok: true, route: "/api/ping" });
 }
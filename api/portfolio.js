@@ -0,0 +1,92 @@
+// api/portfolio.js
+// Portfolio valuation per position, account and total (lib/portfolio.js).
+//   GET /api/portfolio                    -> now, from positions_latest + prices_latest
+//   GET /api/portfolio?date=2024-06-28    -> that day's holdings snapshot, valued at
+//                                            the nearest prices_history bucket
+//   &max_age_minutes=30   (staleness threshold for current prices)
+//   &base=EUR             (valuation currency, default BASE_CURRENCY)
+//   &format=csv           (positions only)
+
+import pg from "pg";
+import { withAuth } from "../lib/auth.js";
+import { BASE_CURRENCY, parseCurrencyParam } from "../lib/fx.js";
+import { parseDateParam, parseFormat, sendCsv } from "../lib/http.js";
+import { valuePortfolio } from "../lib/portfolio.js";
+import { DEFAULT_MAX_AGE_MINUTES } from "../lib/prices.js";
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const CSV_COLUMNS = [
+  "account",
+  "ticker",
+  "quantity",
+  "price",
+  "currency",
+  "native_price",
+  "fx_rate",
+  "price_asof",
+  "market_value",
+  "cost_basis",
+  "unrealized_pnl",
+  "unrealized_pnl_pct",
+  "day_change",
+  "day_change_pct",
+  "weight_pct",
+  "account_weight_pct",
+  "price_missing",
+  "fx_missing",
+  "is_stale",
+];
+
+export default withAuth("read", async function handler(req, res) {
+  let date, format, base;
+  try {
+    date = parseDateParam(req.query.date, "date");
+    format = parseFormat(req.query.format);
+    base = parseCurrencyParam(req.query.base, BASE_CURRENCY);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  let maxAgeMinutes = DEFAULT_MAX_AGE_MINUTES;
+  if (req.query.max_age_minutes != null) {
+    maxAgeMinutes = Number(req.query.max_age_minutes);
+    if (!Number.isFinite(maxAgeMinutes) || maxAgeMinutes <= 0) {
+      return res.status(400).json({ error: "bad_max_age_minutes" });
+    }
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const portfolio = await valuePortfolio(client, { date, maxAgeMinutes, base });
+
+    if (!portfolio) {
+      return res.status(404).json({
+        ok: false,
+        error: date ? "no_holdings_on_or_before_date" : "no_positions_loaded",
+        date,
+      });
+    }
+
+    if (format === "csv") {
+      return sendCsv(
+        res,
+        portfolio.positions,
+        `portfolio_${portfolio.valuation_date}.csv`,
+        CSV_COLUMNS
+      );
+    }
+
+    return res.json({ ok: true, ...portfolio });
+  } catch (err) {
+    console.error("portfolio error:", err);
+    return res.status(500).json({ error: "unhandled_exception" });
+  } finally {
+    client.release();
+  }
+});
@@ -0,0 +1,84 @@
+// api/prices.js
+// Latest price per ticker from prices_latest, with a staleness flag.
+//   GET /api/prices                       -> all tickers
+//   GET /api/prices?tickers=AAPL,MSFT     -> filter (unknown tickers listed in `missing`)
+//   &max_age_minutes=30                   -> override PRICE_MAX_AGE_MINUTES (default 60)
+//   &base=EUR                             -> prices converted at the latest FX rate
+//                                            (native_currency / native_price / fx_rate kept)
+//   &format=csv
+
+import pg from "pg";
+import { withAuth } from "../lib/auth.js";
+import { parseCurrencyParam } from "../lib/fx.js";
+import { parseFormat, parseList, sendCsv } from "../lib/http.js";
+import { DEFAULT_MAX_AGE_MINUTES, queryLatestPrices } from "../lib/prices.js";
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const CSV_COLUMNS = [
+  "ticker",
+  "price",
+  "currency",
+  "bid",
+  "ask",
+  "volume",
+  "exchange",
+  "asof_ts",
+  "source",
+  "age_minutes",
+  "is_stale",
+];
+
+const CONVERTED_CSV_COLUMNS = [...CSV_COLUMNS, "native_currency", "native_price", "fx_rate"];
+
+export default withAuth("read", async function handler(req, res) {
+  let format, base;
+  try {
+    format = parseFormat(req.query.format);
+    base = parseCurrencyParam(req.query.base);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const tickers = parseList(req.query.tickers ?? req.query.ticker);
+
+  let maxAgeMinutes = DEFAULT_MAX_AGE_MINUTES;
+  if (req.query.max_age_minutes != null) {
+    maxAgeMinutes = Number(req.query.max_age_minutes);
+    if (!Number.isFinite(maxAgeMinutes) || maxAgeMinutes <= 0) {
+      return res.status(400).json({ error: "bad_max_age_minutes" });
+    }
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const prices = await queryLatestPrices(client, { tickers, maxAgeMinutes, base });
+
+    if (format === "csv") {
+      return sendCsv(res, prices, "prices_latest.csv", base ? CONVERTED_CSV_COLUMNS : CSV_COLUMNS);
+    }
+
+    const found = new Set(prices.map((p) => p.ticker));
+
+    return res.json({
+      ok: true,
+      max_age_minutes: maxAgeMinutes,
+      base_currency: base,
+      count: prices.length,
+      stale_count: prices.filter((p) => p.is_stale).length,
+      missing: tickers.filter((t) => !found.has(t)),
+      ...(base ? { fx_missing: prices.filter((p) => p.fx_rate === null).map((p) => p.ticker) } : {}),
+      prices,
+    });
+  } catch (err) {
+    console.error("prices error:", err);
+    return res.status(500).json({ error: "unhandled_exception" });
+  } finally {
+    client.release();
+  }
+});
@@ -0,0 +1,93 @@
+// api/prices/history.js
+// OHLC bars from prices_history.
+//   GET /api/prices/history?tickers=AAPL,MSFT&from=2024-01-01&to=2024-02-01&interval=1d&format=csv
+// from/to: YYYY-MM-DD or ISO timestamp, [from, to). Defaults: last 30 days.
+// interval: 15m | 1h | 1d | 1w (default 1d). format: json | csv.
+// base: e.g. EUR, converts every price at the FX rate of its own bucket
+// (default: each ticker's own currency, as stored).
+
+import pg from "pg";
+import { withAuth } from "../../lib/auth.js";
+import { parseCurrencyParam } from "../../lib/fx.js";
+import { parseFormat, parseList, parseTimeParam, sendCsv } from "../../lib/http.js";
+import { HISTORY_INTERVALS, queryPriceHistory } from "../../lib/prices.js";
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const MAX_TICKERS = 100;
+const MAX_BARS = 50000;
+const DEFAULT_DAYS = 30;
+
+const CSV_COLUMNS = ["ticker", "bucket", "currency", "open", "high", "low", "close", "count"];
+
+export default withAuth("read", async function handler(req, res) {
+  let tickers, from, to, interval, format, base;
+  try {
+    tickers = parseList(req.query.tickers ?? req.query.ticker);
+    to = parseTimeParam(req.query.to, "to") ?? new Date();
+    from =
+      parseTimeParam(req.query.from, "from") ??
+      new Date(to.getTime() - DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+    interval = String(req.query.interval || "1d");
+    format = parseFormat(req.query.format);
+    base = parseCurrencyParam(req.query.base);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (!tickers.length) {
+    return res.status(400).json({ error: "tickers_required" });
+  }
+  if (tickers.length > MAX_TICKERS) {
+    return res.status(400).json({ error: "too_many_tickers", max: MAX_TICKERS });
+  }
+  if (!HISTORY_INTERVALS[interval]) {
+    return res
+      .status(400)
+      .json({ error: "bad_interval", allowed: Object.keys(HISTORY_INTERVALS) });
+  }
+  if (from >= to) {
+    return res.status(400).json({ error: "from_must_be_before_to" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    // One extra row tells us the result was cut off
+    const bars = await queryPriceHistory(client, {
+      tickers,
+      from,
+      to,
+      interval,
+      limit: MAX_BARS + 1,
+      base,
+    });
+    const truncated = bars.length > MAX_BARS;
+    if (truncated) bars.length = MAX_BARS;
+
+    if (format === "csv") {
+      return sendCsv(res, bars, `prices_${interval}.csv`, CSV_COLUMNS);
+    }
+
+    return res.json({
+      ok: true,
+      tickers,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      interval,
+      base_currency: base,
+      count: bars.length,
+      truncated,
+      bars,
+    });
+  } catch (err) {
+    console.error("prices/history error:", err);
+    return res.status(500).json({ error: "unhandled_exception" });
+  } finally {
+    client.release();
+  }
+});
@@ -1,27 +1,34 @@
 // api/run.js
-// Main worker: loads equity prices from Google Sheets into Neon
-// and ingests gold/silver metals curve from a separate CSV.
+// Main worker: loads equity prices from the configured price sources
+// (Google Sheets by default, see lib/sources.js) and FX rates (lib/fx.js)
+// into Neon and ingests the gold/silver metals curve from a separate CSV.
 
 import pg from "pg";
-import Papa from "papaparse";
+import { evaluateAlerts } from "../lib/alerts.js";
+import {
+  ANOMALY_CONFIG,
+  applyAnomalyPolicy,
+  checkPrices,
+  loadLastPrices,
+  loadPendingJumps,
+} from "../lib/anomalies.js";
+import { withAuth } from "../lib/auth.js";
+import { shouldIngest } from "../lib/calendar.js";
+import { ingestFx } from "../lib/fx.js";
+import { ingestMetals } from "../lib/metals.js";
+import { PRICE_GRACE_MINUTES, writePrices } from "../lib/prices.js";
+import { recordRejects, summarizeRejects } from "../lib/rejects.js";
+import { finishRun, hashCsv, startRun } from "../lib/runs.js";
+import {
+  commitSources,
+  loadPriority,
+  loadSourceConfig,
+  pickBySource,
+  readSources,
+} from "../lib/sources.js";
 
 const { Client } = pg;
 
-// --- Date helpers (DATA-authoritative, UTC-safe) ---
-function toISODateString(d) {
-  const yyyy = d.getUTCFullYear();
-  const mm = String(d.getUTCMonth() + 1).padStart(2, "0");
-  const dd = String(d.getUTCDate()).padStart(2, "0");
-  return `${yyyy}-${mm}-${dd}`;
-}
-
-function parseISODateUTC(s) {
-  if (!s) return null;
-  const [y, m, d] = String(s).trim().split("-").map(Number);
-  if (!y || !m || !d) return null;
-  return new Date(Date.UTC(y, m - 1, d));
-}
-
 // 15-minute bucket helper (UTC)
 function currentMinuteBucketUTC(date = new Date()) {
   const m = date.getUTCMinutes();
@@ -39,291 +46,194 @@ function currentMinuteBucketUTC(date = new Date()) {
   );
 }
 
-// ----- Price CSV layout (Stocks sheet) -----
-// AC = column 28 (0-based). A = column 0.
-const COL_TICKER = 0;
-const COL_PRICE_AC = 28;
-
 // ----- Prices loader -----
-async function loadPricesFromSheet(client, logger = console) {
-  const csvUrl = process.env.PRICE_CSV_URL;
-  if (!csvUrl) throw new Error("Missing PRICE_CSV_URL env var");
+// Wraps one prices ingest in an ingest_runs ledger entry (lib/runs.js).
+// force loads rows the anomaly review would quarantine or block.
+async function loadPricesFromSheet(
+  client,
+  source,
+  { force = false, minuteBucket = currentMinuteBucketUTC() } = {},
+  logger = console
+) {
+  const runId = await startRun(client, "prices", source);
 
-  logger.log("Fetching prices CSV from:", csvUrl);
-
-  let csvText;
   try {
-    const r = await fetch(csvUrl, { cache: "no-store" });
-    if (!r.ok) throw new Error(`HTTP ${r.status}`);
-    csvText = await r.text();
+    const result = await ingestPrices(client, source, runId, { force, minuteBucket }, logger);
+    await finishRun(client, runId, {
+      status: result.status,
+      reason: result.reason,
+      rowsProcessed: result.processed,
+      rowsRejected: result.skipped,
+      csvHash: result.csv_sha256,
+      anomalies: result.anomalies ?? null,
+    });
+    return { run_id: runId, ...result };
   } catch (err) {
-    throw new Error(`Price fetch failed: ${String(err)}`);
+    await finishRun(client, runId, { status: "error", error: String(err) });
+    throw err;
   }
+}
 
-  const parsed = Papa.parse(csvText.trim(), {
-    header: false,
-    dynamicTyping: false,
-  });
-  if (parsed.errors?.length) {
-    throw new Error(`CSV parse errors (prices): ${parsed.errors[0].message}`);
+// Reads every configured price source (lib/sources.js: PRICE_SOURCES, or
+// just PRICE_CSV_URL) and writes one row per ticker from the best source
+// that has it
+async function ingestPrices(client, source, runId, { force, minuteBucket }, logger) {
+  const sources = loadSourceConfig();
+  const priority = loadPriority(sources);
+
+  logger.log(`Reading ${sources.length} price source(s): ${sources.map((s) => s.name).join(", ")}`);
+
+  const results = await readSources(client, sources, logger);
+  const summary = results.map((r) => ({
+    name: r.source.name,
+    type: r.source.type,
+    status: r.status,
+    rows: r.rows.length,
+    rejects: r.rejects.length,
+    columns: r.columns ?? null,
+    error: r.error ?? null,
+  }));
+  const failed = results.filter((r) => r.status === "error");
+  const hashes = results.filter((r) => r.csvHash).map((r) => r.csvHash);
+  const csvHash = hashes.length === 1 ? hashes[0] : hashes.length ? hashCsv(hashes.join(",")) : null;
+
+  if (failed.length === results.length) {
+    throw new Error(`Price fetch failed: ${failed.map((r) => `${r.source.name}: ${r.error}`).join("; ")}`);
   }
 
-  const rows = parsed.data || [];
-  if (rows.length < 2) throw new Error("No data rows found in prices CSV");
-
-  // SQL DDL (idempotent)
-  const ddl = `
-    CREATE TABLE IF NOT EXISTS prices_latest (
-      ticker TEXT PRIMARY KEY,
-      price NUMERIC NOT NULL,
-      asof_ts TIMESTAMPTZ NOT NULL DEFAULT now(),
-      source TEXT DEFAULT 'gsheet'
-    );
-
-    CREATE TABLE IF NOT EXISTS prices_history (
-      ticker TEXT NOT NULL,
-      price NUMERIC NOT NULL,
-      asof_ts TIMESTAMPTZ NOT NULL,
-      minute_bucket TIMESTAMPTZ NOT NULL,
-      source TEXT DEFAULT 'gsheet',
-      PRIMARY KEY (ticker, minute_bucket)
-    );
-  `;
-
-  const upsertLatestSQL = `
-    INSERT INTO prices_latest (ticker, price, asof_ts, source)
-    VALUES ($1, $2, now(), 'gsheet')
-    ON CONFLICT (ticker) DO UPDATE
-    SET price = EXCLUDED.price,
-        asof_ts = EXCLUDED.asof_ts,
-        source = EXCLUDED.source;
-  `;
-
-  const insertHistorySQL = `
-    INSERT INTO prices_history (ticker, price, asof_ts, minute_bucket, source)
-    VALUES ($1, $2, now(), $3, 'gsheet')
-    ON CONFLICT DO NOTHING;
-  `;
-
-  let processed = 0;
-  let skipped = 0;
-
-  await client.query(ddl);
-
-  const minuteBucket = currentMinuteBucketUTC();
-
-  // Iterate data rows (skip header row 0)
-  for (let i = 1; i < rows.length; i++) {
-    const row = rows[i];
-    if (!row || !row.length) {
-      skipped++;
-      continue;
-    }
+  // Same content as the last successful load everywhere: don't write
+  // another identical 15-minute snapshot into prices_history
+  if (!results.some((r) => r.status === "ok")) {
+    logger.log("Price sources unchanged since last load, skipping");
+    return {
+      status: "skipped",
+      reason: "no_change",
+      processed: 0,
+      skipped: 0,
+      sources: summary,
+      csv_sha256: csvHash,
+    };
+  }
 
-    const rawTicker = (row[COL_TICKER] ?? "").toString().trim();
-    const ticker = rawTicker.toUpperCase();
+  const candidates = results.flatMap((r) => r.rows);
+  const rejects = results.flatMap((r) => r.rejects);
+
+  // Anomaly review against the last known prices (lib/anomalies.js); a
+  // quarantined row lets the next source in line quote that ticker
+  const reviewKey = (r) => `${r.source}:${r.ticker}`;
+  const review = applyAnomalyPolicy(
+    candidates,
+    checkPrices(
+      candidates,
+      await loadLastPrices(client, [...new Set(candidates.map((r) => r.ticker))]),
+      ANOMALY_CONFIG.prices,
+      { pending: await loadPendingJumps(client, ANOMALY_CONFIG.prices.jumpConfirmRuns), key: reviewKey }
+    ),
+    { policy: ANOMALY_CONFIG.prices.policy, force, key: reviewKey }
+  );
 
-    const rawPrice = (row[COL_PRICE_AC] ?? "")
-      .toString()
-      .replace(/[$,\s]/g, "");
-    const price = parseFloat(rawPrice);
+  if (review.blocked) {
+    await recordRejects(client, "prices", source, rejects, runId);
+    logger.warn(`Prices load blocked: ${review.decision.flagged.length} anomalous row(s)`);
+    return {
+      status: "error",
+      reason: "anomalies_detected",
+      processed: 0,
+      skipped: rejects.length,
+      rejects: summarizeRejects(rejects),
+      anomalies: review.decision,
+      sources: summary,
+      csv_sha256: csvHash,
+    };
+  }
+  rejects.push(...review.quarantined);
 
-    if (!ticker || !isFinite(price)) {
-      skipped++;
-      continue;
-    }
+  const { rows: priceRows, fallbacks, unpicked } = pickBySource(review.rows, priority);
+  rejects.push(...unpicked);
+  const noAllowedSource = [...new Set(unpicked.map((r) => r.ticker))];
+  if (noAllowedSource.length) {
+    logger.warn(`No allowed price source for: ${noAllowedSource.join(", ")}`);
+  }
 
-    await client.query(upsertLatestSQL, [ticker, price]);
-    await client.query(insertHistorySQL, [ticker, price, minuteBucket]);
+  // Latest + history in one transaction, one bulk statement per table
+  await writePrices(client, priceRows, minuteBucket);
+  await commitSources(client, results);
+  const processed = priceRows.length;
+  const skipped = rejects.length;
 
-    processed++;
-  }
+  await recordRejects(client, "prices", source, rejects, runId);
 
-  logger.log(`Prices load complete: processed=${processed}, skipped=${skipped}`);
+  const bySource = {};
+  for (const r of priceRows) bySource[r.source] = (bySource[r.source] || 0) + 1;
+
+  logger.log(`Prices load complete: processed=${processed}, skipped=${skipped}, fallbacks=${fallbacks.length}`);
 
   return {
+    status: "success",
+    // Still a success: the other sources covered what they could
+    reason: failed.length ? `source_errors: ${failed.map((r) => r.source.name).join(",")}` : null,
     processed,
     skipped,
+    rejects: summarizeRejects(rejects),
+    anomalies: review.decision,
+    sources: summary,
+    by_source: bySource,
+    fallbacks,
+    no_allowed_source: noAllowedSource,
+    csv_sha256: csvHash,
     minute_bucket_utc: minuteBucket.toISOString(),
   };
 }
 
 // ----- Metals loader (Metallink) -----
-const METALS_REQUIRED_COLS = ["as of date", "metal", "tenor months", "price"];
-
-function parseDeficitFlag(v) {
-  if (v === null || v === undefined) return null;
-  const s = String(v).trim().toLowerCase();
-  if (s === "") return null;
-  if (s === "true" || s === "1" || s === "yes" || s === "y") return true;
-  if (s === "false" || s === "0" || s === "no" || s === "n") return false;
-  return null;
-}
-
-async function loadMetalsCurveFromSheet(client, logger = console) {
-  const url = process.env.METALS_CSV_URL;
-  if (!url) {
+// Same parser, validation and write path as /api/metals_run (lib/metals.js).
+// The cron hits this endpoint every 15 minutes, so once today's curve is in
+// it is skipped rather than re-appended to history.
+async function loadMetalsCurveFromSheet(client, source, logger = console) {
+  if (!process.env.METALS_CSV_URL) {
     logger.warn("METALS_CSV_URL not set, skipping metals load");
     return {
+      status: "skipped",
+      reason: "METALS_CSV_URL missing",
       processed: 0,
       skipped: 0,
-      skipped_reason: "METALS_CSV_URL missing",
       as_of_date: null,
       gold_rows: 0,
       silver_rows: 0,
     };
   }
 
-  logger.log("Fetching metals CSV from:", url);
-
-  let csvText;
-  try {
-    const r = await fetch(url, { cache: "no-store" });
-    if (!r.ok) throw new Error(`HTTP ${r.status}`);
-    csvText = await r.text();
-  } catch (err) {
-    throw new Error(`Metals fetch failed: ${String(err)}`);
-  }
-
-  const parsed = Papa.parse(csvText.trim(), {
-    header: false,
-    dynamicTyping: false,
+  const result = await ingestMetals(client, {
+    source,
+    skipIfIngestedToday: true,
   });
-  if (parsed.errors?.length) {
-    throw new Error(`CSV parse errors (metals): ${parsed.errors[0].message}`);
-  }
 
-  const rows = parsed.data || [];
-  if (rows.length < 2) {
-    logger.warn("Metals CSV has no data rows");
-    return {
-      processed: 0,
-      skipped: 0,
-      as_of_date: null,
-      gold_rows: 0,
-      silver_rows: 0,
-    };
-  }
-
-  const header = rows[0].map((h) => h.toString().trim().toLowerCase());
-  const idx = (name) => header.indexOf(name);
-
-  // Ensure required columns exist
-  for (const col of METALS_REQUIRED_COLS) {
-    if (header.indexOf(col) === -1) {
-      throw new Error(`Metals CSV missing required column: "${col}"`);
-    }
-  }
-
-  const iAsOf = idx("as of date");
-  const iMetal = idx("metal");
-  const iTenor = idx("tenor months");
-  const iPrice = idx("price");
-  const iReal = idx("10 yr real yld");
-  const iDxy = idx("dollar index");
-  const iDef = idx("deficit gdp flag");
-
-  // Compute DATA-authoritative as_of_date = max(as of date) in file
-  let asOfDateMax = null;
-
-  const upsertLatestMetalsSQL = `
-    INSERT INTO metals_curve_latest (
-      as_of_date, metal, tenor_months, price,
-      real_10yr_yld, dollar_index, deficit_gdp_flag
-    )
-    VALUES ($1, $2, $3, $4, $5, $6, $7)
-    ON CONFLICT (metal, tenor_months)
-    DO UPDATE SET
-      as_of_date       = EXCLUDED.as_of_date,
-      price            = EXCLUDED.price,
-      real_10yr_yld    = EXCLUDED.real_10yr_yld,
-      dollar_index     = EXCLUDED.dollar_index,
-      deficit_gdp_flag = EXCLUDED.deficit_gdp_flag,
-      updated_at       = now();
-  `;
-
-  const insertHistoryMetalsSQL = `
-    INSERT INTO metals_curve_history (
-      as_of_date, metal, tenor_months, price,
-      real_10yr_yld, dollar_index, deficit_gdp_flag
-    )
-    VALUES ($1, $2, $3, $4, $5, $6, $7);
-  `;
-
-  let processed = 0;
-  let skipped = 0;
-  let goldRows = 0;
-  let silverRows = 0;
-
-  for (let i = 1; i < rows.length; i++) {
-    const row = rows[i];
-    if (!row || !row.length) {
-      skipped++;
-      continue;
-    }
-
-    const asOfRaw = (row[iAsOf] ?? "").toString().trim();
-    const metal = (row[iMetal] ?? "").toString().trim().toLowerCase();
-    const tenorMonths = parseInt(row[iTenor] ?? "", 10);
-    const price = parseFloat((row[iPrice] ?? "").toString());
-
-    const real10yr =
-      iReal >= 0 && row[iReal] !== "" ? parseFloat(row[iReal]) : null;
-    const dxy = iDxy >= 0 && row[iDxy] !== "" ? parseFloat(row[iDxy]) : null;
-    const deficitFlag = iDef >= 0 ? parseDeficitFlag(row[iDef]) : null;
-
-    if (!asOfRaw || !metal || Number.isNaN(tenorMonths) || Number.isNaN(price)) {
-      skipped++;
-      continue;
-    }
-
-    const dt = parseISODateUTC(asOfRaw);
-    if (dt && (!asOfDateMax || dt > asOfDateMax)) asOfDateMax = dt;
-
-    const asOfDate = asOfRaw; // ISO string; Postgres will cast
-
-    await client.query(upsertLatestMetalsSQL, [
-      asOfDate,
-      metal,
-      tenorMonths,
-      price,
-      real10yr,
-      dxy,
-      deficitFlag,
-    ]);
-
-    await client.query(insertHistoryMetalsSQL, [
-      asOfDate,
-      metal,
-      tenorMonths,
-      price,
-      real10yr,
-      dxy,
-      deficitFlag,
-    ]);
-
-    processed++;
-    if (metal === "gold") goldRows++;
-    if (metal === "silver") silverRows++;
-  }
-
-  const asOfDateUsed = asOfDateMax ? toISODateString(asOfDateMax) : null;
-
-  logger.log(`Metals load complete: processed=${processed}, skipped=${skipped}, as_of_date=${asOfDateUsed}`);
+  logger.log(
+    `Metals load ${result.status}: reason=${result.reason}, rows=${result.rowCount}, as_of_date=${result.sheetDate ?? null}`
+  );
 
   return {
-    processed,
-    skipped,
-    as_of_date: asOfDateUsed,
-    gold_rows: goldRows,
-    silver_rows: silverRows,
+    run_id: result.runId,
+    status: result.status,
+    reason: result.reason,
+    processed: result.status === "success" ? result.rowCount : 0,
+    skipped: result.rejects?.total ?? 0,
+    rejects: result.rejects,
+    as_of_date: result.sheetDate ?? null,
+    gold_rows: result.goldRows ?? 0,
+    silver_rows: result.silverRows ?? 0,
   };
 }
 
 // ----- Main handler -----
-export default async function handler(req, res) {
+export default withAuth("ingest", async function handler(req, res) {
   const started = Date.now();
   const fromCron = req.query.tag || null;
+  const source = fromCron ? `run_${fromCron}` : "run";
+  // Prices only: metals overrides go through /api/metals_run?force=1
+  const force = req.query.force === "1" || req.query.force === "true";
+  // Load prices even while the market is closed (lib/calendar.js)
+  const ignoreCalendar = req.query.ignore_calendar === "1" || req.query.ignore_calendar === "true";
 
   const client = new Client({
     connectionString: process.env.DATABASE_URL,
@@ -333,24 +243,59 @@ export default async function handler(req, res) {
   try {
     await client.connect();
 
-    const pricesResult = await loadPricesFromSheet(client);
-    const metalsResult = await loadMetalsCurveFromSheet(client);
+    // No new 15-minute buckets while US equities are closed
+    const market = shouldIngest("us_equities", new Date(started), {
+      graceMinutes: PRICE_GRACE_MINUTES,
+    });
+    const ingesting = market.ingest || ignoreCalendar;
+    const closed = { status: "skipped", reason: "market_closed", processed: 0, skipped: 0 };
+
+    // Prices and FX share one bucket so conversions line up (lib/fx.js)
+    const minuteBucket = currentMinuteBucketUTC(new Date(started));
+    let pricesResult = closed;
+    let fxResult = closed;
+    if (ingesting) {
+      pricesResult = await loadPricesFromSheet(client, source, { force, minuteBucket });
+      fxResult = await ingestFx(client, { source, minuteBucket });
+    } else {
+      console.log(`US equities closed (${market.reason}), skipping prices and FX`);
+    }
+    const metalsResult = await loadMetalsCurveFromSheet(client, source);
+    const pricesFailed = pricesResult.status === "error";
+    const fxFailed = fxResult.status === "error";
+    const metalsFailed = metalsResult.status === "error";
+
+    // Alert rules see this run's outcome in ingest_runs (lib/alerts.js)
+    const alerts = await evaluateAlerts(client, { trigger: source });
 
     const runtimeMs = Date.now() - started;
 
-    return res.status(200).json({
-      ok: true,
-      message: "Prices and metals ingested",
+    let message = "Prices and metals ingested";
+    if (pricesFailed && metalsFailed) message = "Prices blocked, metals failed";
+    else if (pricesFailed) message = "Prices blocked, metals ingested";
+    else if (metalsFailed) message = "Prices ingested, metals failed";
+    if (!ingesting) message = metalsFailed ? "Market closed, metals failed" : "Market closed, metals checked";
+    if (fxFailed) message += ", FX failed";
+
+    const failed = pricesFailed || fxFailed || metalsFailed;
+
+    return res.status(failed ? 500 : 200).json({
+      ok: !failed,
+      message,
       pricesResult,
+      fxResult,
+      market,
       metalsResult,
       metals_as_of_date: metalsResult.as_of_date, // convenience field for your popup
+      alerts,
       runtime_ms: runtimeMs,
       tag: fromCron || null,
     });
   } catch (err) {
     console.error("run.js error:", err);
-    return res.status(500).json({ ok: false, error: String(err) });
+    const alerts = await evaluateAlerts(client, { trigger: source });
+    return res.status(500).json({ ok: false, error: String(err), alerts });
   } finally {
     await client.end().catch(() => {});
   }
-}
+});
@@ -0,0 +1,89 @@
+// api/runs.js
+// Pages through the ingest_runs ledger, newest first.
+//   GET /api/runs?job=prices&status=error&limit=50&before=<id>
+// Pass the returned next_before as ?before= to fetch the next page.
+
+import pg from "pg";
+import { withAuth } from "../lib/auth.js";
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const JOBS = ["prices", "metals", "positions", "fx", "prices_backfill", "metals_backfill", "metals_restore"];
+const STATUSES = ["running", "success", "skipped", "error"];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+export default withAuth("read", async function handler(req, res) {
+  const job = req.query.job ? String(req.query.job) : null;
+  const status = req.query.status ? String(req.query.status) : null;
+  const before = req.query.before ? Number(req.query.before) : null;
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  if (job && !JOBS.includes(job)) {
+    return res.status(400).json({ error: "bad_job", allowed: JOBS });
+  }
+  if (status && !STATUSES.includes(status)) {
+    return res.status(400).json({ error: "bad_status", allowed: STATUSES });
+  }
+  if (before !== null && !Number.isInteger(before)) {
+    return res.status(400).json({ error: "bad_before" });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    // Fetch one extra row to know whether another page exists
+    const { rows } = await client.query(
+      `
+      SELECT id,
+             job,
+             trigger_source,
+             status,
+             reason,
+             error,
+             rows_processed,
+             rows_rejected,
+             csv_sha256,
+             anomalies,
+             started_at,
+             finished_at,
+             EXTRACT(EPOCH FROM (finished_at - started_at)) * 1000 AS runtime_ms
+      FROM ingest_runs
+      WHERE ($1::text IS NULL OR job = $1)
+        AND ($2::text IS NULL OR status = $2)
+        AND ($3::bigint IS NULL OR id < $3)
+      ORDER BY id DESC
+      LIMIT $4
+      `,
+      [job, status, before, limit + 1]
+    );
+
+    const hasMore = rows.length > limit;
+    const runs = rows.slice(0, limit).map((r) => ({
+      ...r,
+      id: Number(r.id),
+      runtime_ms: r.runtime_ms === null ? null : Math.round(Number(r.runtime_ms)),
+    }));
+
+    return res.json({
+      ok: true,
+      job,
+      status,
+      count: runs.length,
+      runs,
+      next_before: hasMore ? runs[runs.length - 1].id : null,
+    });
+  } catch (err) {
+    console.error("runs error:", err);
+    return res.status(500).json({ error: "unhandled_exception" });
+  } finally {
+    client.release();
+  }
+});
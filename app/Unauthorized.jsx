@@ -0,0 +1,16 @@
+// Shown by the dashboard pages when the request has no key with the
+// scope they need (lib/auth.js authorize)
+export default function Unauthorized({ status, scope }) {
+  return (
+    <div>
+      <h1>{status === 403 ? "Forbidden" : status === 500 ? "Auth unavailable" : "Unauthorized"}</h1>
+      <p style={{ color: "#666" }}>
+        {status === 403
+          ? `This key does not have the "${scope}" scope.`
+          : status === 500
+          ? "Could not check the API key. Try again shortly."
+          : "Open this page with ?key=<your API key> once; it is kept in a cookie after that."}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+"use client";
+
+// app/goldcurve/CurveChart.jsx
+// Price vs tenor_months for one metal, current curve plus optional prior overlay.
+
+import {
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+const COLORS = {
+  gold: "#c9a227",
+  silver: "#7d8791",
+};
+
+export default function CurveChart({ metal, data, asOfDate, compareDate }) {
+  const color = COLORS[metal] || "#333";
+  const title = metal.charAt(0).toUpperCase() + metal.slice(1);
+
+  if (!data.length) {
+    return (
+      <div style={{ marginBottom: 30 }}>
+        <h2>{title}</h2>
+        <p>No {metal} tenors for {asOfDate}.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ marginBottom: 30 }}>
+      <h2>{title}</h2>
+      <div style={{ width: "100%", maxWidth: 900, height: 320 }}>
+        <ResponsiveContainer>
+          <LineChart data={data} margin={{ top: 10, right: 20, bottom: 20, left: 10 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="tenor_months"
+              type="number"
+              domain={["dataMin", "dataMax"]}
+              label={{ value: "Tenor (months)", position: "insideBottom", offset: -10 }}
+            />
+            <YAxis domain={["auto", "auto"]} tickFormatter={(v) => Number(v).toFixed(2)} />
+            <Tooltip
+              formatter={(v) => (v === null ? "n/a" : Number(v).toFixed(2))}
+              labelFormatter={(t) => `${t} mo`}
+            />
+            <Legend verticalAlign="top" />
+            <Line
+              type="monotone"
+              dataKey="current"
+              name={asOfDate}
+              stroke={color}
+              strokeWidth={2}
+              dot
+              connectNulls
+            />
+            {compareDate ? (
+              <Line
+                type="monotone"
+                dataKey="prior"
+                name={compareDate}
+                stroke={color}
+                strokeDasharray="5 5"
+                strokeOpacity={0.6}
+                dot={false}
+                connectNulls
+              />
+            ) : null}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
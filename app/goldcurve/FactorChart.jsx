@@ -0,0 +1,85 @@
+"use client";
+
+// app/goldcurve/FactorChart.jsx
+// Front-month price vs the macro-factor fair value (lib/factors.js), with
+// the residual z-score as bars on a second axis.
+
+import {
+  Bar,
+  CartesianGrid,
+  ComposedChart,
+  Legend,
+  Line,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+const COLORS = {
+  gold: "#c9a227",
+  silver: "#7d8791",
+};
+
+const fmt = (v, digits = 2) => (v === null || v === undefined ? "n/a" : Number(v).toFixed(digits));
+
+export default function FactorChart({ metal, rows, window }) {
+  const color = COLORS[metal] || "#333";
+  const title = metal.charAt(0).toUpperCase() + metal.slice(1);
+  const latest = [...rows].reverse().find((r) => r.fair_value !== null);
+
+  return (
+    <div style={{ marginBottom: 30 }}>
+      <h3>{title}: price vs factor fair value</h3>
+      {latest ? (
+        <p style={{ fontSize: 13 }}>
+          {latest.as_of_date} ({window} trading-day window): β real yld {fmt(latest.beta_real_yld, 4)} · β
+          dollar {fmt(latest.beta_dollar_index, 4)} · R² {fmt(latest.r2, 2)} · residual z{" "}
+          {fmt(latest.residual_z, 2)} · fair value {fmt(latest.fair_value)}
+        </p>
+      ) : (
+        <p style={{ fontSize: 13 }}>
+          Not enough history for a {window}-observation fit yet.
+        </p>
+      )}
+      {rows.length ? (
+        <div style={{ width: "100%", maxWidth: 900, height: 300 }}>
+          <ResponsiveContainer>
+            <ComposedChart data={rows} margin={{ top: 10, right: 20, bottom: 10, left: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="as_of_date" minTickGap={30} />
+              <YAxis
+                yAxisId="price"
+                domain={["auto", "auto"]}
+                tickFormatter={(v) => Number(v).toFixed(0)}
+              />
+              <YAxis yAxisId="z" orientation="right" domain={[-4, 4]} />
+              <Tooltip formatter={(v) => fmt(v)} />
+              <Legend verticalAlign="top" />
+              <Bar yAxisId="z" dataKey="residual_z" name="Residual z" fill="#bbb" />
+              <Line
+                yAxisId="price"
+                type="monotone"
+                dataKey="price"
+                name="Front month"
+                stroke={color}
+                strokeWidth={2}
+                dot={false}
+              />
+              <Line
+                yAxisId="price"
+                type="monotone"
+                dataKey="fair_value"
+                name="Fair value"
+                stroke="#1f77b4"
+                strokeDasharray="5 5"
+                dot={false}
+                connectNulls
+              />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,303 @@
+// app/goldcurve/page.jsx
+// Gold / silver futures curve from metals_curve_latest, with an optional
+// prior as_of_date overlaid from metals_curve_history (?compare=YYYY-MM-DD).
+// The prior curve is resampled onto the current curve's tenors so the two
+// lines are compared point for point even when the sheet's tenors changed.
+// Below the curves: front-month price vs its macro-factor fair value over
+// the last FACTOR_DAYS days (lib/factors.js).
+
+import { cookies, headers } from "next/headers";
+import pg from "pg";
+import { authorize, pageKey } from "../../lib/auth.js";
+import { addDays } from "../../lib/calendar.js";
+import { isISODate } from "../../lib/columns.js";
+import { loadCurveHistory } from "../../lib/curves.js";
+import { FACTOR_WINDOW, rollingFactorModel } from "../../lib/factors.js";
+import { interpolate } from "../../lib/interpolate.js";
+import Unauthorized from "../Unauthorized";
+import CurveChart from "./CurveChart";
+import FactorChart from "./FactorChart";
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+// Always read fresh rows from Neon; never prerender at build time
+export const dynamic = "force-dynamic";
+
+const METALS = ["gold", "silver"];
+
+const FACTOR_DAYS = 180;
+
+function toNumberOrNull(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function formatDeficitFlag(v) {
+  if (v === null || v === undefined) return "n/a";
+  if (v === true || Number(v) === 1) return "Yes";
+  if (v === false || Number(v) === 0) return "No";
+  return String(v);
+}
+
+function formatNumber(v, digits = 2) {
+  const n = toNumberOrNull(v);
+  return n === null ? "n/a" : n.toFixed(digits);
+}
+
+// First non-null macro context value across a set of curve rows
+function pickContext(rows) {
+  const first = (key) => {
+    const hit = rows.find((r) => r[key] !== null && r[key] !== undefined);
+    return hit ? hit[key] : null;
+  };
+  return {
+    real_10yr_yld: first("real_10yr_yld"),
+    dollar_index: first("dollar_index"),
+    deficit_gdp_flag: first("deficit_gdp_flag"),
+  };
+}
+
+// { gold: [rows], silver: [rows] } for the FACTOR_DAYS before asOfDate,
+// reading one extra window of history so the first rows are fitted too
+async function loadFactors(client, asOfDate) {
+  const from = addDays(asOfDate, -FACTOR_DAYS);
+  const curves = await loadCurveHistory(client, {
+    from: addDays(from, -(FACTOR_WINDOW * 2 + 7)),
+    to: asOfDate,
+    metals: METALS,
+  });
+
+  const factors = {};
+  for (const metal of METALS) {
+    factors[metal] = rollingFactorModel(curves.filter((c) => c.metal === metal)).filter(
+      (r) => r.as_of_date >= from
+    );
+  }
+  return factors;
+}
+
+async function loadCurves(compareParam) {
+  const client = await pool.connect();
+
+  try {
+    const latest = await client.query(
+      `
+      SELECT as_of_date::text AS as_of_date,
+             metal,
+             tenor_months,
+             price,
+             real_10yr_yld,
+             dollar_index,
+             deficit_gdp_flag
+      FROM metals_curve_latest
+      ORDER BY metal, tenor_months
+      `
+    );
+
+    // metals_curve_latest can hold stale tenors from earlier dates; only
+    // chart the most recent as_of_date
+    const asOfDate = latest.rows.reduce(
+      (max, r) => (!max || r.as_of_date > max ? r.as_of_date : max),
+      null
+    );
+    const current = latest.rows.filter((r) => r.as_of_date === asOfDate);
+
+    const dates = await client.query(
+      `
+      SELECT DISTINCT as_of_date::text AS as_of_date
+      FROM metals_curve_history
+      WHERE ($1::date IS NULL OR as_of_date < $1::date)
+      ORDER BY as_of_date DESC
+      LIMIT 250
+      `,
+      [asOfDate]
+    );
+    const priorDates = dates.rows.map((r) => r.as_of_date);
+
+    const compareDate =
+      isISODate(String(compareParam)) && priorDates.includes(compareParam)
+        ? compareParam
+        : null;
+
+    let prior = [];
+    if (compareDate) {
+      // A date may have been re-ingested; chart its current version
+      const hist = await client.query(
+        `
+        SELECT DISTINCT ON (h.metal, h.tenor_months)
+               h.as_of_date::text AS as_of_date,
+               h.metal,
+               h.tenor_months,
+               h.price,
+               h.real_10yr_yld,
+               h.dollar_index,
+               h.deficit_gdp_flag
+        FROM metals_curve_history h
+        JOIN metals_curve_versions v ON v.id = h.version_id AND v.is_current
+        WHERE h.as_of_date = $1::date
+        ORDER BY h.metal, h.tenor_months, h.id DESC
+        `,
+        [compareDate]
+      );
+      prior = hist.rows;
+    }
+
+    const factors = asOfDate ? await loadFactors(client, asOfDate) : {};
+
+    return { asOfDate, current, priorDates, compareDate, prior, factors };
+  } finally {
+    client.release();
+  }
+}
+
+// Merge current + prior rows for one metal into recharts points by tenor
+function buildSeries(metal, current, prior) {
+  const points = (rows) =>
+    rows
+      .filter((r) => r.metal === metal)
+      .map((r) => ({ tenor_months: Number(r.tenor_months), price: toNumberOrNull(r.price) }))
+      .filter((p) => p.price !== null);
+
+  const cur = points(current).sort((a, b) => a.tenor_months - b.tenor_months);
+  const priorOnGrid = interpolate(points(prior), cur.map((p) => p.tenor_months));
+
+  return cur.map((p, i) => ({
+    tenor_months: p.tenor_months,
+    current: p.price,
+    prior: priorOnGrid[i].price,
+  }));
+}
+
+function ContextTable({ rows }) {
+  const cell = { padding: "4px 12px", borderBottom: "1px solid #ddd" };
+  return (
+    <table style={{ borderCollapse: "collapse", marginBottom: 20 }}>
+      <thead>
+        <tr>
+          <th style={{ ...cell, textAlign: "left" }}>As of</th>
+          <th style={{ ...cell, textAlign: "right" }}>10 Yr Real Yld</th>
+          <th style={{ ...cell, textAlign: "right" }}>Dollar Index</th>
+          <th style={{ ...cell, textAlign: "right" }}>Deficit GDP Flag</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(({ label, date, ctx }) => (
+          <tr key={label}>
+            <td style={cell}>
+              {label}: {date}
+            </td>
+            <td style={{ ...cell, textAlign: "right" }}>
+              {formatNumber(ctx.real_10yr_yld)}
+            </td>
+            <td style={{ ...cell, textAlign: "right" }}>
+              {formatNumber(ctx.dollar_index)}
+            </td>
+            <td style={{ ...cell, textAlign: "right" }}>
+              {formatDeficitFlag(ctx.deficit_gdp_flag)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default async function GoldCurvePage({ searchParams }) {
+  // Same keys and scope as the read API (lib/auth.js, middleware.js)
+  const auth = await authorize(pageKey(headers(), cookies()), "read");
+  if (!auth.ok) return <Unauthorized status={auth.status} scope="read" />;
+
+  const compareParam = searchParams?.compare || null;
+
+  let data;
+  try {
+    data = await loadCurves(compareParam);
+  } catch (err) {
+    console.error("goldcurve error:", err);
+    return (
+      <div>
+        <h1>Metals Curve</h1>
+        <p style={{ color: "#b00" }}>Failed to load metals curve: {String(err?.message || err)}</p>
+      </div>
+    );
+  }
+
+  const { asOfDate, current, priorDates, compareDate, prior, factors } = data;
+
+  if (!asOfDate) {
+    return (
+      <div>
+        <h1>Metals Curve</h1>
+        <p>No rows in metals_curve_latest yet. Run /api/metals_run first.</p>
+      </div>
+    );
+  }
+
+  const contextRows = [
+    { label: "Current", date: asOfDate, ctx: pickContext(current) },
+  ];
+  if (compareDate) {
+    contextRows.push({ label: "Prior", date: compareDate, ctx: pickContext(prior) });
+  }
+
+  return (
+    <div>
+      <h1>Metals Curve</h1>
+      <p>
+        Futures curve as of <strong>{asOfDate}</strong>
+        {compareDate ? (
+          <>
+            {" "}vs <strong>{compareDate}</strong>
+          </>
+        ) : null}
+      </p>
+
+      {/* Plain GET form so the overlay works without client-side state */}
+      <form method="get" style={{ marginBottom: 20 }}>
+        <label>
+          Overlay prior date:{" "}
+          <select name="compare" defaultValue={compareDate || ""}>
+            <option value="">(none)</option>
+            {priorDates.map((d) => (
+              <option key={d} value={d}>
+                {d}
+              </option>
+            ))}
+          </select>
+        </label>{" "}
+        <button type="submit">Show</button>
+      </form>
+
+      <ContextTable rows={contextRows} />
+
+      {METALS.map((metal) => (
+        <CurveChart
+          key={metal}
+          metal={metal}
+          data={buildSeries(metal, current, prior)}
+          asOfDate={asOfDate}
+          compareDate={compareDate}
+        />
+      ))}
+
+      <h2>Macro factors</h2>
+      <p style={{ fontSize: 13 }}>
+        Rolling regression of daily front-month log returns on changes in the 10 yr real
+        yield and the dollar index. Fair value is the prior close moved by the fitted return.
+      </p>
+      {METALS.map((metal) => (
+        <FactorChart
+          key={metal}
+          metal={metal}
+          rows={factors[metal] || []}
+          window={FACTOR_WINDOW}
+        />
+      ))}
+    </div>
+  );
+}
@@ -2,7 +2,14 @@ export default function HomePage() {
   return (
     <div>
       <h1>KMWM Dashboard</h1>
-      <p>Your dashboard is running. Use /goldcurve to view the metals curve.</p>
+      <ul>
+        <li>
+          <a href="/portfolio">Portfolio</a> – allocation, value over time and holdings
+        </li>
+        <li>
+          <a href="/goldcurve">Metals curve</a> – gold and silver futures curves
+        </li>
+      </ul>
     </div>
   );
 }
@@ -0,0 +1,82 @@
+"use client";
+
+// app/portfolio/AllocationCharts.jsx
+// Allocation pies by position (ticker across accounts) and by account.
+
+import { Cell, Legend, Pie, PieChart, ResponsiveContainer, Tooltip } from "recharts";
+
+const COLORS = [
+  "#1f77b4",
+  "#ff7f0e",
+  "#2ca02c",
+  "#d62728",
+  "#9467bd",
+  "#8c564b",
+  "#e377c2",
+  "#7f7f7f",
+  "#bcbd22",
+  "#17becf",
+];
+
+// Slices past this many are folded into "Other"
+const MAX_SLICES = 10;
+
+function topSlices(items) {
+  const sorted = [...items].filter((i) => i.value > 0).sort((a, b) => b.value - a.value);
+  if (sorted.length <= MAX_SLICES) return sorted;
+  const head = sorted.slice(0, MAX_SLICES - 1);
+  const other = sorted.slice(MAX_SLICES - 1).reduce((a, i) => a + i.value, 0);
+  return [...head, { name: "Other", value: other }];
+}
+
+function AllocationPie({ title, data, currency }) {
+  const total = data.reduce((a, d) => a + d.value, 0);
+
+  return (
+    <div style={{ width: 420, height: 340, marginRight: 20 }}>
+      <h3 style={{ margin: "0 0 8px" }}>{title}</h3>
+      {data.length ? (
+        <ResponsiveContainer>
+          <PieChart>
+            <Pie data={data} dataKey="value" nameKey="name" outerRadius={110}>
+              {data.map((d, i) => (
+                <Cell key={d.name} fill={COLORS[i % COLORS.length]} />
+              ))}
+            </Pie>
+            <Tooltip
+              formatter={(v) =>
+                `${Number(v).toLocaleString("en-US", { style: "currency", currency })} (${(
+                  (v / total) *
+                  100
+                ).toFixed(1)}%)`
+              }
+            />
+            <Legend />
+          </PieChart>
+        </ResponsiveContainer>
+      ) : (
+        <p>No priced positions.</p>
+      )}
+    </div>
+  );
+}
+
+export default function AllocationCharts({ positions, accounts, currency = "USD" }) {
+  const byTicker = new Map();
+  for (const p of positions) {
+    if (p.market_value === null) continue;
+    byTicker.set(p.ticker, (byTicker.get(p.ticker) || 0) + p.market_value);
+  }
+
+  const tickerData = topSlices([...byTicker].map(([name, value]) => ({ name, value })));
+  const accountData = topSlices(
+    accounts.map((a) => ({ name: a.account, value: a.market_value ?? 0 }))
+  );
+
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", marginBottom: 30 }}>
+      <AllocationPie title="By position" data={tickerData} currency={currency} />
+      <AllocationPie title="By account" data={accountData} currency={currency} />
+    </div>
+  );
+}
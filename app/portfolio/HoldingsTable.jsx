@@ -0,0 +1,117 @@
+"use client";
+
+// app/portfolio/HoldingsTable.jsx
+// Sortable holdings table; click a header to sort, click again to flip.
+// Rows with a stale price are shaded amber, rows with no price red.
+// Money columns are in the portfolio's base currency; Ccy is the ticker's own.
+
+import { useMemo, useState } from "react";
+
+const money = (v, currency) =>
+  v === null || v === undefined
+    ? "n/a"
+    : Number(v).toLocaleString("en-US", { style: "currency", currency });
+
+const pct = (v) => (v === null || v === undefined ? "n/a" : `${Number(v).toFixed(2)}%`);
+
+function formatAge(minutes) {
+  if (minutes === null || minutes === undefined) return "n/a";
+  const m = Math.abs(minutes);
+  if (m < 60) return `${Math.round(m)}m`;
+  if (m < 48 * 60) return `${(m / 60).toFixed(1)}h`;
+  return `${(m / (24 * 60)).toFixed(1)}d`;
+}
+
+const COLUMNS = [
+  { key: "account", label: "Account" },
+  { key: "ticker", label: "Ticker" },
+  { key: "currency", label: "Ccy" },
+  { key: "quantity", label: "Qty", numeric: true, format: (v) => Number(v).toLocaleString("en-US") },
+  { key: "price", label: "Price", numeric: true, format: money },
+  { key: "price_age_minutes", label: "Price age", numeric: true, format: formatAge },
+  { key: "market_value", label: "Market value", numeric: true, format: money },
+  { key: "unrealized_pnl", label: "Unrealized P&L", numeric: true, format: money },
+  { key: "unrealized_pnl_pct", label: "P&L %", numeric: true, format: pct },
+  { key: "day_change", label: "Day change", numeric: true, format: money },
+  { key: "weight_pct", label: "Weight", numeric: true, format: pct },
+];
+
+function compare(a, b, key) {
+  const va = a[key];
+  const vb = b[key];
+  // Missing values always sort last
+  if (va === null || va === undefined) return 1;
+  if (vb === null || vb === undefined) return -1;
+  if (typeof va === "number") return va - vb;
+  return String(va).localeCompare(String(vb));
+}
+
+export default function HoldingsTable({ positions, currency = "USD" }) {
+  const [sortKey, setSortKey] = useState("market_value");
+  const [desc, setDesc] = useState(true);
+
+  const rows = useMemo(() => {
+    const sorted = [...positions].sort((a, b) => compare(a, b, sortKey));
+    if (desc) {
+      // Reverse only the non-null part so missing values stay at the bottom
+      const present = sorted.filter((r) => r[sortKey] !== null && r[sortKey] !== undefined);
+      const missing = sorted.filter((r) => r[sortKey] === null || r[sortKey] === undefined);
+      return [...present.reverse(), ...missing];
+    }
+    return sorted;
+  }, [positions, sortKey, desc]);
+
+  const onSort = (key) => {
+    if (key === sortKey) {
+      setDesc(!desc);
+    } else {
+      setSortKey(key);
+      setDesc(COLUMNS.find((c) => c.key === key)?.numeric ?? false);
+    }
+  };
+
+  const cell = { padding: "4px 10px", borderBottom: "1px solid #ddd", whiteSpace: "nowrap" };
+
+  return (
+    <table style={{ borderCollapse: "collapse", fontSize: 14 }}>
+      <thead>
+        <tr>
+          {COLUMNS.map((c) => (
+            <th
+              key={c.key}
+              onClick={() => onSort(c.key)}
+              style={{ ...cell, cursor: "pointer", textAlign: c.numeric ? "right" : "left" }}
+            >
+              {c.label}
+              {sortKey === c.key ? (desc ? " ▼" : " ▲") : ""}
+            </th>
+          ))}
+          <th style={{ ...cell, textAlign: "left" }}>Flag</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((p) => {
+          const background = p.price_missing ? "#fdecea" : p.is_stale ? "#fff4e5" : undefined;
+          return (
+            <tr key={`${p.account}|${p.ticker}`} style={{ background }}>
+              {COLUMNS.map((c) => (
+                <td key={c.key} style={{ ...cell, textAlign: c.numeric ? "right" : "left" }}>
+                  {c.format ? c.format(p[c.key], currency) : p[c.key]}
+                </td>
+              ))}
+              <td style={cell}>
+                {p.fx_missing
+                  ? `no ${p.currency} rate`
+                  : p.price_missing
+                    ? "no price"
+                    : p.is_stale
+                      ? "stale price"
+                      : ""}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
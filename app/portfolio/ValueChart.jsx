@@ -0,0 +1,55 @@
+"use client";
+
+// app/portfolio/ValueChart.jsx
+// Daily portfolio value (lib/portfolio.js portfolioValueSeries).
+
+import {
+  CartesianGrid,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+
+const money = (v, currency) =>
+  v === null ? "n/a" : Number(v).toLocaleString("en-US", { style: "currency", currency });
+
+export default function ValueChart({ series, currency = "USD" }) {
+  if (!series.length) {
+    return <p>No price history for this window yet.</p>;
+  }
+
+  return (
+    <div style={{ width: "100%", maxWidth: 900, height: 320, marginBottom: 30 }}>
+      <ResponsiveContainer>
+        <LineChart data={series} margin={{ top: 10, right: 20, bottom: 10, left: 30 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="date" minTickGap={30} />
+          <YAxis
+            domain={["auto", "auto"]}
+            tickFormatter={(v) =>
+              Number(v).toLocaleString("en-US", { style: "currency", currency, maximumFractionDigits: 0 })
+            }
+          />
+          <Tooltip
+            formatter={(v) => money(v, currency)}
+            labelFormatter={(d, payload) => {
+              const missing = payload?.[0]?.payload?.missing_prices;
+              return missing ? `${d} (${missing} ticker(s) unpriced)` : d;
+            }}
+          />
+          <Line
+            type="monotone"
+            dataKey="market_value"
+            name="Market value"
+            stroke="#1f77b4"
+            strokeWidth={2}
+            dot={false}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
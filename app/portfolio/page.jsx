@@ -0,0 +1,172 @@
+// app/portfolio/page.jsx
+// Portfolio dashboard: totals, allocation by position/account, value over
+// time from price history, and a sortable holdings table with price age.
+// ?days=30|90|180|365 picks the value-over-time window; ?base=EUR values
+// everything in another currency (default BASE_CURRENCY, lib/fx.js).
+
+import { cookies, headers } from "next/headers";
+import pg from "pg";
+import { authorize, pageKey } from "../../lib/auth.js";
+import { BASE_CURRENCY, parseCurrencyParam } from "../../lib/fx.js";
+import { portfolioValueSeries, valuePortfolio } from "../../lib/portfolio.js";
+import Unauthorized from "../Unauthorized";
+import AllocationCharts from "./AllocationCharts";
+import HoldingsTable from "./HoldingsTable";
+import ValueChart from "./ValueChart";
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+// Always read fresh rows from Neon; never prerender at build time
+export const dynamic = "force-dynamic";
+
+const RANGES = [30, 90, 180, 365];
+const DEFAULT_DAYS = 90;
+
+// YYYY-MM-DD in America/Chicago, `daysAgo` days back
+function ctDate(daysAgo = 0) {
+  const d = new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000);
+  return d.toLocaleDateString("en-CA", { timeZone: "America/Chicago" });
+}
+
+function formatMoney(v, currency) {
+  if (v === null || v === undefined) return "n/a";
+  return Number(v).toLocaleString("en-US", { style: "currency", currency });
+}
+
+function formatPct(v) {
+  if (v === null || v === undefined) return "n/a";
+  return `${v >= 0 ? "+" : ""}${Number(v).toFixed(2)}%`;
+}
+
+async function loadDashboard(days, base) {
+  const client = await pool.connect();
+  try {
+    const portfolio = await valuePortfolio(client, { base });
+    const series = await portfolioValueSeries(client, {
+      from: ctDate(days),
+      to: ctDate(0),
+      base,
+    });
+    return { portfolio, series };
+  } finally {
+    client.release();
+  }
+}
+
+function Stat({ label, value, sub, color }) {
+  return (
+    <div style={{ marginRight: 40 }}>
+      <div style={{ fontSize: 12, color: "#666" }}>{label}</div>
+      <div style={{ fontSize: 22, fontWeight: "bold", color }}>{value}</div>
+      {sub ? <div style={{ fontSize: 12, color }}>{sub}</div> : null}
+    </div>
+  );
+}
+
+export default async function PortfolioPage({ searchParams }) {
+  // Same keys and scope as the read API (lib/auth.js, middleware.js)
+  const auth = await authorize(pageKey(headers(), cookies()), "read");
+  if (!auth.ok) return <Unauthorized status={auth.status} scope="read" />;
+
+  const requested = Number(searchParams?.days);
+  const days = RANGES.includes(requested) ? requested : DEFAULT_DAYS;
+
+  let base = BASE_CURRENCY;
+  try {
+    base = parseCurrencyParam(searchParams?.base, BASE_CURRENCY);
+  } catch {
+    // a bad ?base= just falls back to the default
+  }
+
+  let data;
+  try {
+    data = await loadDashboard(days, base);
+  } catch (err) {
+    console.error("portfolio page error:", err);
+    return (
+      <div>
+        <h1>Portfolio</h1>
+        <p style={{ color: "#b00" }}>Failed to load portfolio: {String(err?.message || err)}</p>
+      </div>
+    );
+  }
+
+  const { portfolio, series } = data;
+
+  if (!portfolio) {
+    return (
+      <div>
+        <h1>Portfolio</h1>
+        <p>No positions loaded yet. Run /api/load-positions first.</p>
+      </div>
+    );
+  }
+
+  const { total, accounts, positions } = portfolio;
+  const signColor = (v) => (v === null ? undefined : v >= 0 ? "#1a7f37" : "#b00");
+
+  // Serializable rows for the client components
+  const holdings = positions.map((p) => ({
+    ...p,
+    price_asof: p.price_asof ? new Date(p.price_asof).toISOString() : null,
+  }));
+
+  return (
+    <div>
+      <h1>Portfolio</h1>
+      <p>
+        Valued as of {portfolio.valuation_date} (America/Chicago) in {base}
+      </p>
+
+      <div style={{ display: "flex", flexWrap: "wrap", marginBottom: 20 }}>
+        <Stat label="Market value" value={formatMoney(total.market_value, base)} />
+        <Stat
+          label="Unrealized P&L"
+          value={formatMoney(total.unrealized_pnl, base)}
+          sub={formatPct(total.unrealized_pnl_pct)}
+          color={signColor(total.unrealized_pnl)}
+        />
+        <Stat
+          label="Day change"
+          value={formatMoney(total.day_change, base)}
+          sub={formatPct(total.day_change_pct)}
+          color={signColor(total.day_change)}
+        />
+      </div>
+
+      {total.missing_prices || total.stale_prices ? (
+        <p style={{ background: "#fff4e5", border: "1px solid #f0b429", padding: "8px 12px" }}>
+          {total.missing_prices ? `${total.missing_prices} position(s) have no price and are excluded from totals. ` : ""}
+          {total.missing_fx ? `${total.missing_fx} of them have no ${base} FX rate. ` : ""}
+          {total.stale_prices ? `${total.stale_prices} position(s) have a stale price.` : ""}
+        </p>
+      ) : null}
+
+      <AllocationCharts positions={holdings} accounts={accounts} currency={base} />
+
+      <h2>Value over time</h2>
+      <form method="get" style={{ marginBottom: 10 }}>
+        <input type="hidden" name="base" value={base} />
+        <label>
+          Window:{" "}
+          <select name="days" defaultValue={String(days)}>
+            {RANGES.map((r) => (
+              <option key={r} value={r}>
+                {r} days
+              </option>
+            ))}
+          </select>
+        </label>{" "}
+        <button type="submit">Show</button>
+      </form>
+      <ValueChart series={series} currency={base} />
+
+      <h2>Holdings</h2>
+      <HoldingsTable positions={holdings} currency={base} />
+    </div>
+  );
+}
@@ -0,0 +1,256 @@
+// lib/alerts.js
+// Evaluates alert_rules (migrations/008_alerts.sql) after each ingest and
+// sends what fires through lib/notify.js. Every fired alert is stored in
+// alert_events; a rule + dedupe key that already fired within the rule's
+// cooldown is not sent again, and a failed ingest run alerts exactly once.
+//
+// Like logIngest, alerting is best effort: it never fails the run that
+// triggered it.
+
+import { isBusinessDay, shouldIngest } from "./calendar.js";
+import { interpolate } from "./interpolate.js";
+import { getTodayCT } from "./metals.js";
+import { deliver } from "./notify.js";
+import { DEFAULT_MAX_AGE_MINUTES, PRICE_GRACE_MINUTES, queryLatestPrices } from "./prices.js";
+
+const DEFAULT_LOOKBACK_MINUTES = 24 * 60;
+
+// "HH:MM" in America/Chicago
+function nowCT() {
+  return new Date().toLocaleTimeString("en-GB", {
+    timeZone: "America/Chicago",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  });
+}
+
+// Above / below checks shared by the threshold rules
+function thresholdHits(value, { above = null, below = null }, subject) {
+  const hits = [];
+  if (above !== null && value > Number(above)) {
+    hits.push({ key: `${subject}:above`, message: `${subject} at ${value} is above ${above}` });
+  }
+  if (below !== null && value < Number(below)) {
+    hits.push({ key: `${subject}:below`, message: `${subject} at ${value} is below ${below}` });
+  }
+  return hits;
+}
+
+// Newest metals_curve_latest curve for a metal: [{ tenor_months, price }]
+async function latestCurve(client, metal) {
+  const { rows } = await client.query(
+    `
+    SELECT as_of_date::text AS as_of_date, tenor_months, price
+    FROM metals_curve_latest
+    WHERE metal = $1
+      AND as_of_date = (SELECT max(as_of_date) FROM metals_curve_latest WHERE metal = $1)
+    ORDER BY tenor_months
+    `,
+    [metal]
+  );
+  return {
+    asOfDate: rows[0]?.as_of_date ?? null,
+    points: rows.map((r) => ({ tenor_months: r.tenor_months, price: Number(r.price) })),
+  };
+}
+
+// --------------------------------------------------
+// One evaluator per rule kind: (client, params) -> [{ key, message, payload, once? }]
+// --------------------------------------------------
+const EVALUATORS = {
+  async ingest_error(client, { jobs = [], lookback_minutes = DEFAULT_LOOKBACK_MINUTES }) {
+    const { rows } = await client.query(
+      `
+      SELECT id, job, trigger_source, reason, error, finished_at
+      FROM ingest_runs
+      WHERE status = 'error'
+        AND finished_at > now() - make_interval(mins => $1::int)
+        AND (cardinality($2::text[]) = 0 OR job = ANY($2::text[]))
+      ORDER BY id
+      `,
+      [lookback_minutes, jobs]
+    );
+    return rows.map((r) => ({
+      key: `run:${r.id}`,
+      once: true,
+      message: `${r.job} ingest failed (run ${r.id}, ${r.trigger_source ?? "unknown"}): ${r.reason || r.error || "error"}`,
+      payload: { ...r, id: Number(r.id) },
+    }));
+  },
+
+  // weekdays_only: skip days COMEX doesn't settle (weekends and holidays)
+  async metals_missed(client, { by = "16:30", weekdays_only = true }) {
+    const today = getTodayCT();
+    if (weekdays_only && !isBusinessDay("comex", today)) return [];
+    if (nowCT() < by) return [];
+
+    const { rows } = await client.query(
+      `
+      SELECT 1
+      FROM metals_ingest_log
+      WHERE run_date = $1
+        AND status = 'success'
+      LIMIT 1
+      `,
+      [today]
+    );
+    if (rows.length) return [];
+
+    return [
+      {
+        key: today,
+        message: `No successful metals ingest for ${today} by ${by} CT`,
+        payload: { date: today, by },
+      },
+    ];
+  },
+
+  // Only while prices load (lib/calendar.js): outside the session nothing
+  // updates prices_latest, so every ticker would look stale
+  async stale_ticker(client, { tickers = [], max_age_minutes = DEFAULT_MAX_AGE_MINUTES }) {
+    if (!shouldIngest("us_equities", new Date(), { graceMinutes: PRICE_GRACE_MINUTES }).ingest) return [];
+
+    const prices = await queryLatestPrices(client, { tickers, maxAgeMinutes: max_age_minutes });
+    const seen = new Set(prices.map((p) => p.ticker));
+
+    return [
+      ...prices
+        .filter((p) => p.is_stale)
+        .map((p) => ({
+          key: `stale:${p.ticker}`,
+          message: `${p.ticker} price is stale (${p.age_minutes} min old, limit ${max_age_minutes})`,
+          payload: { ticker: p.ticker, price: p.price, asof_ts: p.asof_ts, age_minutes: p.age_minutes },
+        })),
+      // A watched ticker with no price at all is as stale as it gets
+      ...tickers
+        .filter((t) => !seen.has(t))
+        .map((t) => ({
+          key: `stale:${t}`,
+          message: `${t} has no price in prices_latest`,
+          payload: { ticker: t },
+        })),
+    ];
+  },
+
+  async price_threshold(client, params) {
+    if (params.ticker) {
+      const [p] = await queryLatestPrices(client, { tickers: [params.ticker] });
+      if (!p) return [];
+      return thresholdHits(p.price, params, p.ticker).map((h) => ({
+        ...h,
+        payload: { ticker: p.ticker, price: p.price, asof_ts: p.asof_ts },
+      }));
+    }
+
+    const { asOfDate, points } = await latestCurve(client, params.metal);
+    const tenor = Number(params.tenor_months ?? 1);
+    const price = interpolate(points, [tenor], "linear")[0].price;
+    if (price === null) return [];
+
+    return thresholdHits(price, params, `${params.metal} ${tenor}m`).map((h) => ({
+      ...h,
+      payload: { metal: params.metal, tenor_months: tenor, price, as_of_date: asOfDate },
+    }));
+  },
+
+  // Calendar spread: far tenor minus near tenor
+  async spread_threshold(client, params) {
+    const near = Number(params.near_tenor ?? 1);
+    const far = Number(params.far_tenor ?? 12);
+    const { asOfDate, points } = await latestCurve(client, params.metal);
+    const [n, f] = interpolate(points, [near, far], "linear");
+    if (n.price === null || f.price === null) return [];
+
+    const spread = Math.round((f.price - n.price) * 10000) / 10000;
+    return thresholdHits(spread, params, `${params.metal} ${near}m-${far}m spread`).map((h) => ({
+      ...h,
+      payload: { metal: params.metal, near_tenor: near, far_tenor: far, spread, as_of_date: asOfDate },
+    }));
+  },
+};
+
+export const ALERT_KINDS = Object.keys(EVALUATORS);
+
+// true when this rule + key already fired recently enough to stay quiet
+async function alreadyFired(client, rule, candidate) {
+  const { rows } = await client.query(
+    `
+    SELECT 1
+    FROM alert_events
+    WHERE rule_id = $1
+      AND dedupe_key = $2
+      AND ($3::boolean OR fired_at > now() - make_interval(mins => $4::int))
+    LIMIT 1
+    `,
+    [rule.id, candidate.key, Boolean(candidate.once), rule.cooldown_minutes]
+  );
+  return rows.length > 0;
+}
+
+async function fire(client, rule, candidate, trigger) {
+  const { rows } = await client.query(
+    `
+    INSERT INTO alert_events (rule_id, dedupe_key, message, payload)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id, fired_at
+    `,
+    [rule.id, candidate.key, candidate.message, JSON.stringify(candidate.payload ?? null)]
+  );
+
+  const alert = {
+    id: Number(rows[0].id),
+    rule: rule.name,
+    kind: rule.kind,
+    key: candidate.key,
+    message: candidate.message,
+    payload: candidate.payload ?? null,
+    trigger,
+    fired_at: rows[0].fired_at,
+  };
+
+  const deliveries = await deliver(rule.channels, alert);
+  await client.query(`UPDATE alert_events SET deliveries = $2 WHERE id = $1`, [
+    alert.id,
+    JSON.stringify(deliveries),
+  ]);
+
+  return { id: alert.id, rule: rule.name, key: alert.key, message: alert.message, deliveries };
+}
+
+// Runs every enabled rule once. trigger: the source of the ingest that
+// called us, echoed in the alert. Returns { rules, fired: [...], errors: [...] }.
+export async function evaluateAlerts(client, { trigger = "unknown" } = {}) {
+  const fired = [];
+  const errors = [];
+
+  let rules;
+  try {
+    ({ rows: rules } = await client.query(
+      `
+      SELECT id, name, kind, params, channels, cooldown_minutes
+      FROM alert_rules
+      WHERE enabled
+      ORDER BY id
+      `
+    ));
+  } catch (err) {
+    console.error("Failed to load alert rules:", err);
+    return { rules: 0, fired, errors: [String(err)] };
+  }
+
+  for (const rule of rules) {
+    try {
+      const candidates = await EVALUATORS[rule.kind](client, rule.params || {});
+      for (const candidate of candidates) {
+        if (await alreadyFired(client, rule, candidate)) continue;
+        fired.push(await fire(client, rule, candidate, trigger));
+      }
+    } catch (err) {
+      console.error(`Alert rule ${rule.name} failed:`, err);
+      errors.push({ rule: rule.name, error: String(err) });
+    }
+  }
+
+  return { rules: rules.length, fired, errors };
+}
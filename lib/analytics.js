@@ -0,0 +1,100 @@
+// lib/analytics.js
+// Futures curve analytics (pure functions, no DB access).
+// A curve is [{ tenor_months, price }] sorted by tenor; all rates are
+// annualized and returned in percent.
+
+import { interpolate } from "./interpolate.js";
+
+// Spreads smaller than this fraction of the front price count as "flat"
+const FLAT_THRESHOLD = 0.001;
+
+const round = (v, digits = 4) => {
+  if (v === null || v === undefined || !Number.isFinite(v)) return null;
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+};
+
+// Linear interpolation inside the curve; null outside its tenor range
+export function priceAtTenor(points, tenor) {
+  return interpolate(points, [tenor], "linear")[0].price;
+}
+
+// Annualized compounded rate that grows p0 at t0 months into p1 at t1 months
+function annualizedRate(p0, t0, p1, t1) {
+  if (!(p0 > 0) || !(p1 > 0) || t1 <= t0) return null;
+  return (Math.pow(p1 / p0, 12 / (t1 - t0)) - 1) * 100;
+}
+
+// OLS slope of ln(price) on tenor in years = continuously compounded
+// annual slope of the whole curve
+function logSlope(points) {
+  const pts = points.filter((p) => p.price > 0);
+  if (pts.length < 2) return null;
+
+  const xs = pts.map((p) => p.tenor_months / 12);
+  const ys = pts.map((p) => Math.log(p.price));
+  const mx = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const my = ys.reduce((a, b) => a + b, 0) / ys.length;
+
+  let sxy = 0;
+  let sxx = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+  }
+  return sxx === 0 ? null : (sxy / sxx) * 100;
+}
+
+export function classifyStructure(front, back) {
+  if (front === null || back === null) return null;
+  const rel = (back - front) / front;
+  if (rel > FLAT_THRESHOLD) return "contango";
+  if (rel < -FLAT_THRESHOLD) return "backwardation";
+  return "flat";
+}
+
+// Per-curve metrics:
+//   annualized_slope_pct   log-price slope across all tenors
+//   implied_carry_pct      annualized rate from the front tenor to 12m
+//   roll_yield_pct         annualized yield from rolling the front contract
+//                          into the next one (positive in backwardation)
+//   front_12m_spread       12m price minus front price (and in %)
+//   structure              contango | backwardation | flat (front vs 12m)
+export function curveMetrics(points) {
+  if (!points.length) return null;
+
+  const front = points[0];
+  const next = points[1] ?? null;
+  const p12 = priceAtTenor(points, 12);
+  const spread = p12 === null ? null : p12 - front.price;
+  const rollRate = next
+    ? annualizedRate(front.price, front.tenor_months, next.price, next.tenor_months)
+    : null;
+
+  return {
+    tenors: points.length,
+    front_tenor_months: front.tenor_months,
+    front_price: front.price,
+    price_12m: round(p12),
+    annualized_slope_pct: round(logSlope(points)),
+    implied_carry_pct:
+      p12 === null || front.tenor_months >= 12
+        ? null
+        : round(annualizedRate(front.price, front.tenor_months, p12, 12)),
+    roll_yield_pct: rollRate === null ? null : round(-rollRate),
+    front_12m_spread: round(spread),
+    front_12m_spread_pct: spread === null ? null : round((spread / front.price) * 100),
+    structure: classifyStructure(front.price, p12),
+  };
+}
+
+// Gold/silver price ratio at every tenor both curves quote
+export function goldSilverRatio(goldPoints, silverPoints) {
+  const silverByTenor = new Map(silverPoints.map((p) => [p.tenor_months, p.price]));
+  return goldPoints
+    .filter((g) => silverByTenor.get(g.tenor_months) > 0)
+    .map((g) => ({
+      tenor_months: g.tenor_months,
+      ratio: round(g.price / silverByTenor.get(g.tenor_months)),
+    }));
+}
@@ -0,0 +1,298 @@
+// lib/anomalies.js
+// Validation stage between parsing and writing. Parsing only rejects rows
+// that are malformed; this catches well-formed rows that are implausible:
+//   zero_price      price <= 0
+//   price_jump      moved more than the threshold vs the last known value
+//   tenor_outlier   too far from what its neighbouring tenors imply
+//   non_monotonic   a kink: the curve turns at this tenor and back again
+//
+// Each job has a policy (env PRICE_ANOMALY_POLICY / METALS_ANOMALY_POLICY):
+//   quarantine  flagged rows go to ingest_rejects, the rest are written
+//   block       nothing is written and the run fails
+// force overrides both and writes everything. Whatever happens, the
+// decision is stored on the ingest_runs row (anomalies column).
+//
+// A price jump held back in each of the last PRICE_JUMP_CONFIRM_RUNS
+// reviewed loads at the same level is a real move (a split, a corrected
+// price) and goes through, so the ticker isn't frozen until someone forces it.
+
+import { interpolate } from "./interpolate.js";
+import { REJECT_REASONS } from "./rejects.js";
+
+export const ANOMALY_POLICIES = ["quarantine", "block"];
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function envPolicy(name) {
+  const p = String(process.env[name] || "").toLowerCase();
+  return ANOMALY_POLICIES.includes(p) ? p : "quarantine";
+}
+
+// Thresholds are percentages
+export const ANOMALY_CONFIG = {
+  prices: {
+    policy: envPolicy("PRICE_ANOMALY_POLICY"),
+    maxJumpPct: envNumber("PRICE_MAX_JUMP_PCT", 25),
+    jumpConfirmRuns: Math.floor(envNumber("PRICE_JUMP_CONFIRM_RUNS", 2)),
+  },
+  metals: {
+    policy: envPolicy("METALS_ANOMALY_POLICY"),
+    maxJumpPct: envNumber("METALS_MAX_JUMP_PCT", 10),
+    maxNeighbourPct: envNumber("METALS_MAX_NEIGHBOUR_PCT", 5),
+    kinkTolerancePct: envNumber("METALS_KINK_TOLERANCE_PCT", 1),
+  },
+};
+
+const pctChange = (value, base) => ((value - base) / base) * 100;
+
+const fmtPct = (v) => `${v >= 0 ? "+" : ""}${v.toFixed(1)}%`;
+
+function jumpFlag(price, last, maxJumpPct) {
+  if (!(last > 0)) return null;
+  const change = pctChange(price, last);
+  if (Math.abs(change) <= maxJumpPct) return null;
+  return {
+    reason: REJECT_REASONS.PRICE_JUMP,
+    detail: `price=${price} last=${last} change=${fmtPct(change)} limit=${maxJumpPct}%`,
+  };
+}
+
+// --------------------------------------------------
+// Last known values
+// --------------------------------------------------
+
+// Map ticker -> price from prices_latest
+export async function loadLastPrices(client, tickers) {
+  const { rows } = await client.query(
+    `
+    SELECT ticker, price
+    FROM prices_latest
+    WHERE ticker = ANY($1::text[])
+    `,
+    [tickers]
+  );
+  return new Map(rows.map((r) => [r.ticker, Number(r.price)]));
+}
+
+// Map key -> [price, ...] (newest run first) for the rows flagged price_jump
+// in every one of the last `runs` reviewed price loads; keys are the ones
+// applyAnomalyPolicy stored on the run
+export async function loadPendingJumps(client, runs) {
+  if (!(runs > 0)) return new Map();
+  const { rows } = await client.query(
+    `
+    WITH recent AS (
+      SELECT id, anomalies
+      FROM ingest_runs
+      WHERE job = 'prices' AND anomalies IS NOT NULL
+      ORDER BY id DESC
+      LIMIT $1
+    )
+    SELECT f->>'key' AS key,
+           array_agg((f->>'price')::numeric ORDER BY r.id DESC) AS prices
+    FROM recent r
+    CROSS JOIN LATERAL jsonb_array_elements(r.anomalies->'flagged') AS f
+    WHERE f->>'reason' = $2 AND f->>'price' IS NOT NULL
+    GROUP BY f->>'key'
+    HAVING count(DISTINCT r.id) = $1
+    `,
+    [runs, REJECT_REASONS.PRICE_JUMP]
+  );
+  return new Map(rows.map((r) => [r.key, r.prices.map(Number)]));
+}
+
+// Map "metal|tenor" -> price from the current version of the newest date
+// before asOfDate, so a same-day reload is compared with the prior day,
+// not with itself
+export async function loadLastCurve(client, asOfDate) {
+  const { rows } = await client.query(
+    `
+    SELECT DISTINCT ON (h.metal, h.tenor_months)
+           h.metal, h.tenor_months, h.price
+    FROM metals_curve_history h
+    JOIN metals_curve_versions v ON v.id = h.version_id AND v.is_current
+    WHERE h.as_of_date < $1::date
+    ORDER BY h.metal, h.tenor_months, h.as_of_date DESC, h.id DESC
+    `,
+    [asOfDate]
+  );
+  return new Map(rows.map((r) => [`${r.metal}|${r.tenor_months}`, Number(r.price)]));
+}
+
+// --------------------------------------------------
+// Checks: return [{ row, reason, detail }], at most one flag per row
+// --------------------------------------------------
+
+// pending: loadPendingJumps; a jump that matches every earlier held-back
+// price for the row's key is confirmed and not flagged again
+export function checkPrices(
+  rows,
+  lastPrices,
+  { maxJumpPct },
+  { pending = new Map(), key = (r) => r.ticker } = {}
+) {
+  const flags = [];
+  for (const row of rows) {
+    if (!(row.price > 0)) {
+      flags.push({ row, reason: REJECT_REASONS.ZERO_PRICE, detail: `price=${row.price}` });
+      continue;
+    }
+    const jump = jumpFlag(row.price, lastPrices.get(row.ticker), maxJumpPct);
+    const earlier = pending.get(key(row));
+    const confirmed = earlier?.length > 0 && earlier.every((p) => !jumpFlag(row.price, p, maxJumpPct));
+    if (jump && !confirmed) flags.push({ row, ...jump });
+  }
+  return flags;
+}
+
+// Distance of each point from what the others imply at its tenor: linear
+// between its neighbours, or the single neighbour at either end of the curve
+function neighbourDeviation(points, i) {
+  const others = points.filter((_, j) => j !== i);
+  const t = points[i].tenor_months;
+  let expected = interpolate(others, [t], "linear")[0].price;
+  if (expected === null) {
+    expected = t < others[0].tenor_months ? others[0].price : others[others.length - 1].price;
+  }
+  return { expected, deviation: pctChange(points[i].price, expected) };
+}
+
+// Size of the turn at an interior point, 0 when the curve doesn't turn there
+function kinkSize(points, i) {
+  const prev = points[i - 1].price;
+  const cur = points[i].price;
+  const next = points[i + 1].price;
+  if ((cur - prev) * (next - cur) >= 0) return 0;
+  return (Math.min(Math.abs(cur - prev), Math.abs(next - cur)) / cur) * 100;
+}
+
+// Repeatedly flags the single worst point and re-checks without it, so one
+// bad tenor doesn't drag its good neighbours down with it
+function peelWorst(points, measure, limit) {
+  const flagged = [];
+  let remaining = [...points];
+
+  for (;;) {
+    let worst = null;
+    remaining.forEach((p, i) => {
+      const m = measure(remaining, i);
+      if (m && Math.abs(m.value) > limit && (!worst || Math.abs(m.value) > Math.abs(worst.m.value))) {
+        worst = { p, m };
+      }
+    });
+    if (!worst) return { flagged, remaining };
+    flagged.push(worst);
+    remaining = remaining.filter((p) => p !== worst.p);
+  }
+}
+
+export function checkCurve(rows, lastCurve, { maxJumpPct, maxNeighbourPct, kinkTolerancePct }) {
+  const flags = [];
+  const metals = [...new Set(rows.map((r) => r.metal))];
+
+  for (const metal of metals) {
+    let points = [];
+
+    for (const row of rows.filter((r) => r.metal === metal)) {
+      if (!(row.price > 0)) {
+        flags.push({ row, reason: REJECT_REASONS.ZERO_PRICE, detail: `price=${row.price}` });
+        continue;
+      }
+      const jump = jumpFlag(row.price, lastCurve.get(`${metal}|${row.tenor_months}`), maxJumpPct);
+      if (jump) {
+        flags.push({ row, ...jump });
+        continue;
+      }
+      points.push(row);
+    }
+    points.sort((a, b) => a.tenor_months - b.tenor_months);
+
+    // Shape checks need a neighbour to compare against
+    if (points.length >= 3) {
+      const outliers = peelWorst(
+        points,
+        (pts, i) => {
+          const { expected, deviation } = neighbourDeviation(pts, i);
+          return { value: deviation, expected };
+        },
+        maxNeighbourPct
+      );
+      for (const { p, m } of outliers.flagged) {
+        flags.push({
+          row: p,
+          reason: REJECT_REASONS.TENOR_OUTLIER,
+          detail: `price=${p.price} neighbours_imply=${m.expected.toFixed(4)} deviation=${fmtPct(m.value)} limit=${maxNeighbourPct}%`,
+        });
+      }
+      points = outliers.remaining;
+    }
+
+    if (points.length >= 3) {
+      const kinks = peelWorst(
+        points,
+        (pts, i) => (i > 0 && i < pts.length - 1 ? { value: kinkSize(pts, i) } : null),
+        kinkTolerancePct
+      );
+      for (const { p, m } of kinks.flagged) {
+        flags.push({
+          row: p,
+          reason: REJECT_REASONS.NON_MONOTONIC,
+          detail: `price=${p.price} turn=${m.value.toFixed(2)}% tolerance=${kinkTolerancePct}%`,
+        });
+      }
+    }
+  }
+
+  return flags;
+}
+
+// --------------------------------------------------
+// Decision
+// --------------------------------------------------
+
+// Applies the policy to the flags from a check. Returns
+//   { rows, quarantined, blocked, decision }
+// rows: what to write; quarantined: rejects for lib/rejects.js;
+// decision: what goes on the ingest_runs row.
+export function applyAnomalyPolicy(rows, flags, { policy, force = false, key }) {
+  const action = !flags.length
+    ? "none"
+    : force
+      ? "overridden"
+      : policy === "block"
+        ? "blocked"
+        : "quarantined";
+
+  const decision = {
+    policy,
+    forced: Boolean(force),
+    action,
+    flagged: flags.map(({ row, reason, detail }) => ({
+      key: key(row),
+      line: row.line ?? null,
+      price: row.price ?? null,
+      reason,
+      detail,
+    })),
+  };
+
+  if (action !== "quarantined") {
+    return { rows, quarantined: [], blocked: action === "blocked", decision };
+  }
+
+  const held = new Set(flags.map((f) => f.row));
+  return {
+    rows: rows.filter((r) => !held.has(r)),
+    quarantined: flags.map(({ row, reason, detail }) => ({
+      line: row.line ?? 0,
+      raw: row.raw ?? key(row),
+      reason,
+      detail,
+    })),
+    blocked: false,
+    decision,
+  };
+}
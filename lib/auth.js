@@ -0,0 +1,278 @@
+// lib/auth.js
+// API key auth shared by every route in api/. Wrap a handler with the
+// scope it needs:
+//
+//   export default withAuth("read", async function handler(req, res) { ... });
+//
+// Scopes: ingest (loaders), read (data endpoints), admin (diagnostics and
+// key management; admin passes every check). Keys are sent as
+// "Authorization: Bearer <key>" or "X-API-Key: <key>".
+//
+// Where keys come from:
+//   api_keys table (migrations/009_api_keys.sql), managed with
+//     npm run keys -- create|rotate|revoke|list   or   /api/keys
+//   API_KEYS env: "name:scope+scope:sha256hex,..." for bootstrapping
+//   METALS_INGEST_TOKEN / CRON_SECRET: the pre-existing shared tokens,
+//     accepted as ingest+read keys until they are rotated out
+//
+// The dashboard pages (app/) check the same keys through authorize(): the
+// browser opens /portfolio?key=<key> once, middleware.js moves the key
+// into the KEY_COOKIE cookie, and each page validates it on every render.
+//
+// AUTH_DISABLED=1 turns checks off outside production (local dev only).
+
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
+import pg from "pg";
+
+const { Pool } = pg;
+
+export const SCOPES = ["ingest", "read", "admin"];
+
+// Cookie the dashboard pages read the key from (set by middleware.js)
+export const KEY_COOKIE = "kmwm_api_key";
+
+const KEY_PATTERN = /^kmwm_([a-z0-9]{8})_[A-Za-z0-9_-]{20,}$/;
+
+let pool = null;
+function getPool() {
+  if (!pool) pool = new Pool({ connectionString: process.env.DATABASE_URL });
+  return pool;
+}
+
+export function hashKey(key) {
+  return createHash("sha256").update(String(key)).digest("hex");
+}
+
+// Constant-time compare of two hex digests
+function sameHash(a, b) {
+  const ba = Buffer.from(a, "hex");
+  const bb = Buffer.from(b, "hex");
+  return ba.length === bb.length && timingSafeEqual(ba, bb);
+}
+
+// Keys configured through the environment, hashed once at load
+const ENV_KEYS = (() => {
+  const keys = [];
+  for (const entry of String(process.env.API_KEYS || "").split(",")) {
+    const [name, scopes, hash] = entry.trim().split(":");
+    if (name && scopes && /^[0-9a-f]{64}$/.test(hash || "")) {
+      keys.push({ name, scopes: scopes.split("+"), hash, source: "env" });
+    }
+  }
+  if (process.env.METALS_INGEST_TOKEN) {
+    keys.push({
+      name: "metals-ingest-token",
+      scopes: ["ingest", "read"],
+      hash: hashKey(process.env.METALS_INGEST_TOKEN),
+      source: "env",
+    });
+  }
+  if (process.env.CRON_SECRET) {
+    keys.push({
+      name: "cron-secret",
+      scopes: ["ingest", "read"],
+      hash: hashKey(process.env.CRON_SECRET),
+      source: "env",
+    });
+  }
+  return keys;
+})();
+
+function keyFromRequest(req) {
+  const auth = String(req.headers?.authorization || "");
+  if (/^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, "").trim();
+  const header = req.headers?.["x-api-key"];
+  return header ? String(header).trim() : "";
+}
+
+// { name, scopes, source } for a valid key, or null
+async function lookupKey(key) {
+  const hash = hashKey(key);
+
+  // Check every env key (no early exit) so timing doesn't reveal which matched
+  let match = null;
+  for (const k of ENV_KEYS) {
+    if (sameHash(hash, k.hash) && !match) match = k;
+  }
+  if (match) return { name: match.name, scopes: match.scopes, source: "env" };
+
+  const m = KEY_PATTERN.exec(key);
+  if (!m) return null;
+
+  const { rows } = await getPool().query(
+    `
+    SELECT id, name, scopes, key_hash
+    FROM api_keys
+    WHERE prefix = $1
+      AND revoked_at IS NULL
+      AND (expires_at IS NULL OR expires_at > now())
+    `,
+    [m[1]]
+  );
+  const row = rows.find((r) => sameHash(hash, r.key_hash));
+  if (!row) return null;
+
+  // Best effort, like the ingest logs
+  getPool()
+    .query(`UPDATE api_keys SET last_used_at = now() WHERE id = $1`, [row.id])
+    .catch((err) => console.error("Failed to touch api key:", err));
+
+  return { name: row.name, scopes: row.scopes, source: "db" };
+}
+
+export function hasScope(scopes, required) {
+  return scopes.includes("admin") || scopes.includes(required);
+}
+
+// { ok: true, apiKey } when key grants scope, otherwise
+// { ok: false, status, error } with the HTTP status to answer
+export async function authorize(key, scope) {
+  if (!SCOPES.includes(scope)) throw new Error(`Unknown auth scope: ${scope}`);
+
+  if (process.env.AUTH_DISABLED === "1" && process.env.NODE_ENV !== "production") {
+    return { ok: true, apiKey: { name: "auth-disabled", scopes: SCOPES, source: "dev" } };
+  }
+
+  if (!key) return { ok: false, status: 401, error: "unauthorized" };
+
+  let apiKey;
+  try {
+    apiKey = await lookupKey(key);
+  } catch (err) {
+    console.error("auth error:", err);
+    return { ok: false, status: 500, error: "auth_unavailable" };
+  }
+
+  if (!apiKey) return { ok: false, status: 401, error: "unauthorized" };
+  if (!hasScope(apiKey.scopes, scope)) return { ok: false, status: 403, error: "forbidden" };
+
+  return { ok: true, apiKey };
+}
+
+// Wraps a Vercel handler. On success req.apiKey = { name, scopes, source }.
+export function withAuth(scope, handler) {
+  if (!SCOPES.includes(scope)) throw new Error(`Unknown auth scope: ${scope}`);
+
+  return async function authed(req, res) {
+    const result = await authorize(keyFromRequest(req), scope);
+    if (!result.ok) {
+      const body = { error: result.error };
+      if (result.status === 403) body.required_scope = scope;
+      return res.status(result.status).json(body);
+    }
+
+    req.apiKey = result.apiKey;
+    return handler(req, res);
+  };
+}
+
+// Key for a server component, from next/headers' headers() and cookies():
+// an Authorization / X-API-Key header, else the KEY_COOKIE cookie
+export function pageKey(headerList, cookieStore) {
+  const fromHeaders = keyFromRequest({
+    headers: {
+      authorization: headerList.get("authorization"),
+      "x-api-key": headerList.get("x-api-key"),
+    },
+  });
+  return fromHeaders || cookieStore.get(KEY_COOKIE)?.value || "";
+}
+
+// --------------------------------------------------
+// Key management (scripts/keys.js and /api/keys)
+// --------------------------------------------------
+
+function validateScopes(scopes) {
+  if (!scopes.length || scopes.some((s) => !SCOPES.includes(s))) {
+    throw new Error(`bad_scopes: expected some of ${SCOPES.join(", ")}`);
+  }
+}
+
+// Returns { key, prefix, name, scopes } – the only time the key is visible
+export async function createKey(client, { name, scopes }) {
+  if (!name) throw new Error("missing_name");
+  validateScopes(scopes);
+
+  const prefix = randomBytes(4).toString("hex");
+  const key = `kmwm_${prefix}_${randomBytes(24).toString("base64url")}`;
+
+  await client.query(
+    `
+    INSERT INTO api_keys (name, prefix, key_hash, scopes)
+    VALUES ($1, $2, $3, $4)
+    `,
+    [name, prefix, hashKey(key), scopes]
+  );
+  return { key, prefix, name, scopes };
+}
+
+// New key with the same scopes as the newest active key for `name`; the
+// old ones keep working for graceMinutes so callers can switch over.
+export async function rotateKey(client, name, { graceMinutes = 24 * 60 } = {}) {
+  if (!Number.isInteger(graceMinutes) || graceMinutes < 0) {
+    throw new Error("bad_grace_minutes: expected a whole number of minutes >= 0");
+  }
+
+  const { rows } = await client.query(
+    `
+    SELECT scopes
+    FROM api_keys
+    WHERE name = $1
+      AND revoked_at IS NULL
+      AND (expires_at IS NULL OR expires_at > now())
+    ORDER BY id DESC
+    LIMIT 1
+    `,
+    [name]
+  );
+  if (!rows.length) throw new Error("no_active_key");
+
+  await client.query("BEGIN");
+  try {
+    const { rows: expired } = await client.query(
+      `
+      UPDATE api_keys
+      SET expires_at = LEAST(coalesce(expires_at, 'infinity'), now() + make_interval(mins => $2::int))
+      WHERE name = $1
+        AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > now())
+      RETURNING prefix, expires_at
+      `,
+      [name, graceMinutes]
+    );
+    const created = await createKey(client, { name, scopes: rows[0].scopes });
+    await client.query("COMMIT");
+    return { ...created, expiring: expired };
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  }
+}
+
+// Revokes by name (every key) or by prefix (one key); returns the count
+export async function revokeKeys(client, { name = null, prefix = null }) {
+  if (!name && !prefix) throw new Error("missing_name_or_prefix");
+  const { rowCount } = await client.query(
+    `
+    UPDATE api_keys
+    SET revoked_at = now()
+    WHERE revoked_at IS NULL
+      AND ($1::text IS NULL OR name = $1)
+      AND ($2::text IS NULL OR prefix = $2)
+    `,
+    [name, prefix]
+  );
+  return rowCount;
+}
+
+export async function listKeys(client) {
+  const { rows } = await client.query(
+    `
+    SELECT id, name, prefix, scopes, created_at, expires_at, revoked_at, last_used_at,
+           (revoked_at IS NULL AND (expires_at IS NULL OR expires_at > now())) AS active
+    FROM api_keys
+    ORDER BY name, id
+    `
+  );
+  return rows.map((r) => ({ ...r, id: Number(r.id) }));
+}
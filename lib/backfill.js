@@ -0,0 +1,410 @@
+// lib/backfill.js
+// Historical loads for scripts/backfill.js: exported sheets or vendor dumps
+// covering any date range go straight into prices_history or
+// metals_curve_history. Latest tables, fetch state and the anomaly review
+// are left alone; this fills in the past, it doesn't change "now".
+//
+// Rows are grouped by day and written chunkDays at a time, one transaction
+// per chunk, so a long file can be interrupted and simply run again.
+// Existing rows (same ticker + 15-minute bucket, or a metals date that
+// already has a curve) follow onConflict:
+//   skip     keep what is there; re-running the same file is a no-op
+//   replace  overwrite prices; for metals, load the file's curve as the
+//            date's new current version (the old one is kept)
+//   fail     check every chunk first and write nothing if anything exists
+//
+// Price files need a timestamp column next to the usual price columns:
+//   2024-03-01             -> that day's US equities close
+//   2024-03-01 15:45       -> New York time
+//   2024-03-01T20:45:00Z   -> as given (any ISO timestamp with a zone)
+// Metals files use the metals sheet layout, one as_of_date per curve.
+
+import { readdir, readFile, stat } from "node:fs/promises";
+import path from "node:path";
+import Papa from "papaparse";
+import { columnArrays, lastPerKey } from "./bulk.js";
+import { addDays, CALENDARS, dayInfo, localParts, zonedTime } from "./calendar.js";
+import { cellText, isISODate, resolveColumns } from "./columns.js";
+import { DEFAULT_PRICE_CURRENCY } from "./fx.js";
+import { insertCurveVersion, parseMetalsCsv } from "./metals.js";
+import { makeReject, recordRejects, REJECT_REASONS, summarizeRejects } from "./rejects.js";
+import { finishRun, hashCsv, startRun } from "./runs.js";
+import { parsePriceCsv } from "./sources.js";
+
+export const CONFLICT_POLICIES = ["skip", "replace", "fail"];
+
+export const DEFAULT_CHUNK_DAYS = 7;
+
+// A file or every .csv in a directory (sorted): [{ file, text }]
+export async function readBackfillFiles(target) {
+  const info = await stat(target);
+  const files = info.isDirectory()
+    ? (await readdir(target))
+        .filter((f) => /\.csv$/i.test(f))
+        .sort()
+        .map((f) => path.join(target, f))
+    : [target];
+  if (!files.length) throw new Error(`No .csv files in ${target}`);
+
+  return Promise.all(files.map(async (file) => ({ file, text: await readFile(file, "utf8") })));
+}
+
+// --------------------------------------------------
+// Prices
+// --------------------------------------------------
+
+const EQUITIES_TZ = CALENDARS.us_equities.timeZone;
+
+const PRICE_TIME_COLUMN = {
+  asof: {
+    env: "BACKFILL_COL_ASOF",
+    headers: ["asof_ts", "asof", "timestamp", "datetime", "date", "as of date"],
+    required: true,
+  },
+};
+
+// Date for a backfill timestamp cell (see the header), or null
+export function parseTimestamp(value) {
+  const s = String(value ?? "").trim();
+
+  if (isISODate(s)) {
+    return zonedTime(s, dayInfo("us_equities", s).close ?? CALENDARS.us_equities.close, EQUITIES_TZ);
+  }
+
+  const local = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2})?)$/.exec(s);
+  if (local) return isISODate(local[1]) ? zonedTime(local[1], local[2], EQUITIES_TZ) : null;
+
+  if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}.*(Z|[+-]\d{2}:?\d{2})$/i.test(s)) {
+    const d = new Date(s);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  return null;
+}
+
+// Same 15-minute buckets as /api/run
+const bucketOf = (ts) => new Date(Math.floor(ts.getTime() / 900000) * 900000);
+
+// Price rows via the live parser (lib/sources.js) plus the timestamp.
+// day: the New York date, used for --from/--to and chunking.
+function parsePrices(text, { source, label }) {
+  const { rows, rejects } = parsePriceCsv(text, { label });
+  const data = Papa.parse(String(text ?? "").trim(), { header: false }).data;
+  const { asof } = resolveColumns(data[0], PRICE_TIME_COLUMN, label);
+
+  const out = [];
+  for (const r of rows) {
+    const raw = data[r.line - 1];
+    const ts = parseTimestamp(cellText(raw, asof));
+    if (!ts) {
+      rejects.push(makeReject(raw, r.line - 1, REJECT_REASONS.BAD_TIMESTAMP));
+      continue;
+    }
+    out.push({
+      ...r,
+      currency: r.currency ?? DEFAULT_PRICE_CURRENCY,
+      source,
+      asof_ts: ts,
+      minute_bucket: bucketOf(ts),
+      day: localParts(ts, EQUITIES_TZ).date,
+    });
+  }
+  return { rows: out, rejects };
+}
+
+const PRICE_HISTORY_FIELDS = [
+  "ticker",
+  "price",
+  "currency",
+  "bid",
+  "ask",
+  "volume",
+  "exchange",
+  "asof_ts",
+  "minute_bucket",
+  "source",
+];
+
+const UNNEST_PRICE_HISTORY = `
+  unnest(
+    $1::text[], $2::numeric[], $3::text[], $4::numeric[], $5::numeric[],
+    $6::numeric[], $7::text[], $8::timestamptz[], $9::timestamptz[], $10::text[]
+  ) AS t(ticker, price, currency, bid, ask, volume, exchange, asof_ts, minute_bucket, source)
+`;
+
+const PRICES = {
+  table: "prices_history",
+  parse: parsePrices,
+  key: (r) => `${r.ticker}|${r.minute_bucket.toISOString()}`,
+
+  // Rows of the chunk that already exist
+  async existing(client, rows) {
+    const { rows: found } = await client.query(
+      `
+      SELECT count(*)::int AS n
+      FROM prices_history h
+      JOIN unnest($1::text[], $2::timestamptz[]) AS k(ticker, minute_bucket)
+        USING (ticker, minute_bucket)
+      `,
+      columnArrays(rows, ["ticker", "minute_bucket"])
+    );
+    return found[0].n;
+  },
+
+  // { inserted, replaced, skipped }; throws in fail mode on any existing row
+  async write(client, rows, { onConflict }) {
+    const { rows: written } = await client.query(
+      `
+      INSERT INTO prices_history
+        (ticker, price, currency, bid, ask, volume, exchange, asof_ts, minute_bucket, source)
+      SELECT * FROM ${UNNEST_PRICE_HISTORY}
+      ON CONFLICT (ticker, minute_bucket) ${
+        onConflict === "replace"
+          ? `DO UPDATE SET price = EXCLUDED.price,
+                           currency = EXCLUDED.currency,
+                           bid = EXCLUDED.bid,
+                           ask = EXCLUDED.ask,
+                           volume = EXCLUDED.volume,
+                           exchange = EXCLUDED.exchange,
+                           asof_ts = EXCLUDED.asof_ts,
+                           source = EXCLUDED.source`
+          : "DO NOTHING"
+      }
+      RETURNING (xmax = 0) AS inserted
+      `,
+      columnArrays(rows, PRICE_HISTORY_FIELDS)
+    );
+
+    const inserted = written.filter((w) => w.inserted).length;
+    const counts = { inserted, replaced: written.length - inserted, skipped: rows.length - written.length };
+    if (onConflict === "fail" && counts.skipped) throw new BackfillConflict(counts.skipped);
+    return counts;
+  },
+};
+
+// --------------------------------------------------
+// Metals
+// --------------------------------------------------
+
+const METALS = {
+  table: "metals_curve_history",
+  // No anomaly review here, so zero prices are rejected outright
+  parse: (text) => {
+    const parsed = parseMetalsCsv(text);
+    const rejects = [...parsed.rejects];
+    const rows = [];
+    for (const r of parsed.rows) {
+      if (r.price > 0) rows.push({ ...r, day: r.as_of_date });
+      else rejects.push({ line: r.line, raw: r.raw, reason: REJECT_REASONS.ZERO_PRICE });
+    }
+    return { rows, rejects };
+  },
+  key: (r) => `${r.as_of_date}|${r.metal}|${r.tenor_months}`,
+
+  async existingDates(client, rows) {
+    const { rows: found } = await client.query(
+      `
+      SELECT as_of_date::text AS as_of_date
+      FROM metals_curve_versions
+      WHERE is_current
+        AND as_of_date = ANY($1::date[])
+      `,
+      [[...new Set(rows.map((r) => r.as_of_date))]]
+    );
+    return new Set(found.map((f) => f.as_of_date));
+  },
+
+  async existing(client, rows) {
+    const dates = await METALS.existingDates(client, rows);
+    return rows.filter((r) => dates.has(r.as_of_date)).length;
+  },
+
+  // A date's curve is kept or superseded as a whole (one version per
+  // date, tied to this run), never merged
+  async write(client, rows, { onConflict, runId, source }) {
+    const dates = await METALS.existingDates(client, rows);
+    const clashing = rows.filter((r) => dates.has(r.as_of_date));
+    if (onConflict === "fail" && clashing.length) throw new BackfillConflict(clashing.length);
+
+    const toWrite = onConflict === "replace" ? rows : rows.filter((r) => !dates.has(r.as_of_date));
+
+    const byDate = new Map();
+    for (const r of toWrite) {
+      if (!byDate.has(r.as_of_date)) byDate.set(r.as_of_date, []);
+      byDate.get(r.as_of_date).push(r);
+    }
+    for (const [date, curve] of byDate) {
+      await insertCurveVersion(client, date, curve, { runId, source });
+    }
+
+    const replaced = onConflict === "replace" ? clashing.length : 0;
+    return {
+      inserted: toWrite.length - replaced,
+      replaced,
+      skipped: rows.length - toWrite.length,
+    };
+  },
+};
+
+export const BACKFILL_JOBS = { prices: PRICES, metals: METALS };
+
+// --------------------------------------------------
+// Run
+// --------------------------------------------------
+
+export class BackfillConflict extends Error {
+  constructor(existing) {
+    super(`${existing} row(s) already exist (on_conflict=fail)`);
+    this.existing = existing;
+  }
+}
+
+// Consecutive days, at most chunkDays of calendar time per chunk:
+// [{ from, to, rows }]
+function chunkByDay(rows, chunkDays) {
+  const byDay = new Map();
+  for (const r of rows) {
+    if (!byDay.has(r.day)) byDay.set(r.day, []);
+    byDay.get(r.day).push(r);
+  }
+
+  const chunks = [];
+  for (const day of [...byDay.keys()].sort()) {
+    const last = chunks[chunks.length - 1];
+    if (last && day <= addDays(last.from, chunkDays - 1)) {
+      last.to = day;
+      last.rows.push(...byDay.get(day));
+    } else {
+      chunks.push({ from: day, to: day, rows: [...byDay.get(day)] });
+    }
+  }
+  return chunks;
+}
+
+// files: [{ file, text }] (readBackfillFiles). from/to: YYYY-MM-DD, inclusive.
+// Returns { run_id, job, status, reason, files, rows, chunks, inserted,
+// replaced, skipped, rejects, first_day, last_day }; dryRun writes nothing
+// and reports how many rows already exist instead.
+export async function backfill(
+  client,
+  {
+    job,
+    files,
+    from = null,
+    to = null,
+    onConflict = "skip",
+    chunkDays = DEFAULT_CHUNK_DAYS,
+    dryRun = false,
+    source = "backfill",
+    logger = console,
+  }
+) {
+  const spec = BACKFILL_JOBS[job];
+  if (!spec) throw new Error(`Unknown backfill job "${job}" (expected ${Object.keys(BACKFILL_JOBS).join(", ")})`);
+  if (!CONFLICT_POLICIES.includes(onConflict)) {
+    throw new Error(`Unknown on-conflict policy "${onConflict}" (expected ${CONFLICT_POLICIES.join(", ")})`);
+  }
+  if (!Number.isInteger(chunkDays) || chunkDays < 1) throw new Error("chunk days must be a positive integer");
+
+  // Parse everything up front: a broken file fails before anything is written
+  let rows = [];
+  const rejects = [];
+  for (const { file, text } of files) {
+    let parsed;
+    try {
+      parsed = spec.parse(text, { source, label: `Backfill ${job} (${path.basename(file)})` });
+    } catch (err) {
+      throw new Error(`${file}: ${err.message}`);
+    }
+    rows.push(...parsed.rows);
+    rejects.push(...parsed.rejects.map((r) => ({ ...r, detail: `file=${path.basename(file)}` })));
+    logger.log(`${file}: ${parsed.rows.length} row(s), ${parsed.rejects.length} rejected`);
+  }
+
+  rows = rows.filter((r) => (!from || r.day >= from) && (!to || r.day <= to));
+  // Later files win over earlier ones for the same key, like a re-export
+  rows = lastPerKey(rows, spec.key);
+
+  const chunks = chunkByDay(rows, chunkDays);
+  const result = {
+    run_id: null,
+    job,
+    status: "success",
+    reason: null,
+    on_conflict: onConflict,
+    dry_run: dryRun,
+    files: files.length,
+    rows: rows.length,
+    chunks: chunks.length,
+    inserted: 0,
+    replaced: 0,
+    skipped: 0,
+    existing: 0,
+    rejects: summarizeRejects(rejects),
+    first_day: chunks[0]?.from ?? null,
+    last_day: chunks[chunks.length - 1]?.to ?? null,
+  };
+
+  if (!rows.length) {
+    logger.log("Nothing to load in that range");
+    return { ...result, status: "skipped", reason: "no_rows" };
+  }
+
+  // Read-only pass: the dry-run report, and the all-or-nothing check for fail
+  if (dryRun || onConflict === "fail") {
+    for (const [i, chunk] of chunks.entries()) {
+      const existing = await spec.existing(client, chunk.rows);
+      result.existing += existing;
+      if (dryRun) {
+        logger.log(`[${i + 1}/${chunks.length}] ${chunk.from}..${chunk.to}: ${chunk.rows.length} row(s), ${existing} already in ${spec.table}`);
+      }
+    }
+    if (dryRun) return result;
+    if (result.existing) {
+      logger.error(`${result.existing} row(s) already exist in ${spec.table}; nothing written`);
+      return { ...result, status: "error", reason: "existing_rows" };
+    }
+  }
+
+  const runId = await startRun(client, `${job}_backfill`, source);
+  result.run_id = runId;
+  const started = Date.now();
+
+  try {
+    for (const [i, chunk] of chunks.entries()) {
+      await client.query("BEGIN");
+      let counts;
+      try {
+        counts = await spec.write(client, chunk.rows, { onConflict, runId, source });
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw err;
+      }
+
+      result.inserted += counts.inserted;
+      result.replaced += counts.replaced;
+      result.skipped += counts.skipped;
+      logger.log(
+        `[${i + 1}/${chunks.length}] ${chunk.from}..${chunk.to}: inserted=${counts.inserted} replaced=${counts.replaced} skipped=${counts.skipped} (${((Date.now() - started) / 1000).toFixed(1)}s)`
+      );
+    }
+  } catch (err) {
+    // Chunks before this one are committed; re-run with skip to carry on
+    result.status = "error";
+    result.reason = err instanceof BackfillConflict ? "existing_rows" : "chunk_failed";
+    result.error = String(err?.message || err);
+    logger.error(`Backfill stopped: ${result.error}`);
+  }
+
+  await recordRejects(client, `${job}_backfill`, source, rejects, runId);
+  await finishRun(client, runId, {
+    status: result.status,
+    reason: result.reason ?? `on_conflict=${onConflict}`,
+    error: result.error ?? null,
+    rowsProcessed: result.inserted + result.replaced,
+    rowsRejected: rejects.length,
+    csvHash: hashCsv(files.map((f) => f.text).join("\n")),
+  });
+
+  return result;
+}
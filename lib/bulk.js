@@ -0,0 +1,17 @@
+// lib/bulk.js
+// Helpers for UNNEST-based bulk writes: one array parameter per column
+// instead of one statement (and one round-trip to Neon) per row.
+
+// Keep only the last row for each key. A multi-row ON CONFLICT DO UPDATE
+// fails if the same key appears twice in one statement; the per-row loop
+// this replaces simply let the last row win, so we do the same.
+export function lastPerKey(rows, keyFn) {
+  const byKey = new Map();
+  for (const r of rows) byKey.set(keyFn(r), r);
+  return [...byKey.values()];
+}
+
+// [{a:1,b:2},{a:3,b:4}] + ["a","b"] -> [[1,3],[2,4]]
+export function columnArrays(rows, fields) {
+  return fields.map((f) => rows.map((r) => (r[f] === undefined ? null : r[f])));
+}
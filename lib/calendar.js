@@ -0,0 +1,259 @@
+// lib/calendar.js
+// Exchange calendars: which days trade, which close early, and when the
+// session is open. Used to decide whether an ingest run should load
+// anything and which as_of_date a sheet should carry.
+//
+//   us_equities  NYSE/Nasdaq, 09:30-16:00 ET, 13:00 on half days
+//   comex        COMEX metals settlements, 08:20-13:30 ET, 12:45 on half days
+//
+// Holidays are computed from the exchange rules (observed dates, Good
+// Friday, Juneteenth from 2022), so no yearly list to maintain. COMEX has
+// no settlement on the days NYSE is closed; its early closes follow CME's
+// (day after Thanksgiving, Christmas Eve).
+//
+// MARKET_CALENDAR_OVERRIDES (JSON) adds one-off closures, early closes or
+// extra sessions, per calendar or for all ("*"):
+//   { "*": { "2025-01-09": "closed" }, "us_equities": { "2025-07-03": "13:00" } }
+// Values: "closed", "open" (a normal session on a day the rules close) or
+// "HH:MM" (early close, exchange time).
+
+export const CALENDARS = {
+  us_equities: { timeZone: "America/New_York", open: "09:30", close: "16:00", earlyClose: "13:00" },
+  comex: { timeZone: "America/New_York", open: "08:20", close: "13:30", earlyClose: "12:45" },
+};
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// --------------------------------------------------
+// Date helpers (YYYY-MM-DD strings, calendar arithmetic in UTC)
+// --------------------------------------------------
+
+const ymd = (y, m, d) => new Date(Date.UTC(y, m - 1, d)).toISOString().slice(0, 10);
+
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// 0 = Sunday
+const weekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// nth (1-based) weekday of a month; n = -1 for the last one
+function nthWeekday(year, month, dow, n) {
+  if (n > 0) {
+    const first = weekday(ymd(year, month, 1));
+    return ymd(year, month, 1 + ((dow - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = weekday(ymd(year, month, lastDay));
+  return ymd(year, month, lastDay - ((last - dow + 7) % 7));
+}
+
+// Gregorian Easter Sunday (anonymous algorithm)
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return ymd(year, month, day);
+}
+
+// Saturday holidays move to Friday, Sunday ones to Monday
+function observed(date) {
+  const dow = weekday(date);
+  if (dow === 6) return addDays(date, -1);
+  if (dow === 0) return addDays(date, 1);
+  return date;
+}
+
+// "YYYY-MM-DD" and "HH:MM" for an instant in a time zone
+export function localParts(now, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map((p) => [p.type, p.value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+// The instant a wall-clock "YYYY-MM-DD" + "HH:MM[:SS]" happens in timeZone
+export function zonedTime(date, time, timeZone) {
+  const [y, mo, d] = date.split("-").map(Number);
+  const [h, mi, sec = 0] = time.split(":").map(Number);
+  const wall = Date.UTC(y, mo - 1, d, h, mi, sec);
+  // Shift by the zone's offset at the guess, then once more for DST edges
+  let t = wall;
+  for (let i = 0; i < 2; i++) {
+    const p = localParts(new Date(t), timeZone);
+    t += wall - Date.parse(`${p.date}T${p.time}:${String(sec).padStart(2, "0")}Z`);
+  }
+  return new Date(t);
+}
+
+const minutesOf = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+
+// --------------------------------------------------
+// Rules
+// --------------------------------------------------
+
+// Map date -> { name, closed } | { name, close } for one year
+function ruleDays(calendar, year) {
+  const days = new Map();
+  const closed = (date, name) => days.set(date, { name, closed: true });
+  const early = (date, name) => {
+    if (!days.has(date) && weekday(date) !== 0 && weekday(date) !== 6) {
+      days.set(date, { name, close: CALENDARS[calendar].earlyClose });
+    }
+  };
+
+  // New Year's Day on a Saturday is not observed on the Friday before
+  const newYear = ymd(year, 1, 1);
+  if (weekday(newYear) !== 6) closed(observed(newYear), "New Year's Day");
+  closed(nthWeekday(year, 1, 1, 3), "Martin Luther King Jr. Day");
+  closed(nthWeekday(year, 2, 1, 3), "Presidents' Day");
+  closed(addDays(easter(year), -2), "Good Friday");
+  closed(nthWeekday(year, 5, 1, -1), "Memorial Day");
+  if (year >= 2022) closed(observed(ymd(year, 6, 19)), "Juneteenth");
+  closed(observed(ymd(year, 7, 4)), "Independence Day");
+  closed(nthWeekday(year, 9, 1, 1), "Labor Day");
+  const thanksgiving = nthWeekday(year, 11, 4, 4);
+  closed(thanksgiving, "Thanksgiving Day");
+  closed(observed(ymd(year, 12, 25)), "Christmas Day");
+
+  early(addDays(thanksgiving, 1), "Day after Thanksgiving");
+  early(ymd(year, 12, 24), "Christmas Eve");
+  if (calendar === "us_equities") early(ymd(year, 7, 3), "Independence Day eve");
+
+  return days;
+}
+
+const ruleCache = new Map();
+
+function ruleDay(calendar, date) {
+  const key = `${calendar}|${date.slice(0, 4)}`;
+  if (!ruleCache.has(key)) ruleCache.set(key, ruleDays(calendar, Number(date.slice(0, 4))));
+  return ruleCache.get(key).get(date) ?? null;
+}
+
+function loadOverrides(env = process.env) {
+  if (!env.MARKET_CALENDAR_OVERRIDES) return {};
+  try {
+    return JSON.parse(env.MARKET_CALENDAR_OVERRIDES);
+  } catch (err) {
+    console.error("MARKET_CALENDAR_OVERRIDES is not valid JSON, ignoring:", err.message);
+    return {};
+  }
+}
+
+const OVERRIDES = loadOverrides();
+
+function overrideFor(calendar, date) {
+  const value = OVERRIDES[calendar]?.[date] ?? OVERRIDES["*"]?.[date];
+  if (value === "closed" || value === "open" || TIME_RE.test(value ?? "")) return value;
+  return null;
+}
+
+function checkCalendar(calendar) {
+  if (!CALENDARS[calendar]) throw new Error(`Unknown market calendar: ${calendar}`);
+  return CALENDARS[calendar];
+}
+
+// --------------------------------------------------
+// Queries
+// --------------------------------------------------
+
+// { date, calendar, business_day, holiday, early_close, open, close, override }
+// open/close are exchange-local "HH:MM", null on a closed day
+export function dayInfo(calendar, date) {
+  const cal = checkCalendar(calendar);
+  const rule = ruleDay(calendar, date);
+  const override = overrideFor(calendar, date);
+  const weekend = weekday(date) === 0 || weekday(date) === 6;
+
+  let closed = weekend || Boolean(rule?.closed);
+  let close = rule?.close ?? cal.close;
+  if (override === "closed") closed = true;
+  if (override === "open") {
+    closed = false;
+    close = cal.close;
+  }
+  if (override && TIME_RE.test(override)) {
+    closed = false;
+    close = override;
+  }
+
+  return {
+    date,
+    calendar,
+    business_day: !closed,
+    holiday: closed ? (override === "closed" ? "override" : rule?.name ?? (weekend ? "weekend" : null)) : null,
+    early_close: !closed && close !== cal.close ? close : null,
+    open: closed ? null : cal.open,
+    close: closed ? null : close,
+    override: override !== null,
+  };
+}
+
+export const isBusinessDay = (calendar, date) => dayInfo(calendar, date).business_day;
+
+// Last business day strictly before date
+export function previousBusinessDay(calendar, date) {
+  let d = addDays(date, -1);
+  // Bounded: no exchange closes for a month
+  for (let i = 0; i < 31 && !isBusinessDay(calendar, d); i++) d = addDays(d, -1);
+  return d;
+}
+
+// The as_of_date data for `date` should carry: that day if it trades,
+// otherwise the prior business day
+export function expectedAsOfDate(calendar, date) {
+  return isBusinessDay(calendar, date) ? date : previousBusinessDay(calendar, date);
+}
+
+// Whether a scheduled run at `now` should load anything. graceMinutes
+// past the close still ingest, so the closing bucket is captured.
+// { ingest, reason, date, time, session, expected_as_of_date }
+// session: "pre" | "open" | "post" | "closed"
+export function shouldIngest(calendar, now = new Date(), { graceMinutes = 0 } = {}) {
+  const cal = checkCalendar(calendar);
+  const { date, time } = localParts(now, cal.timeZone);
+  const day = dayInfo(calendar, date);
+  const base = { date, time, expected_as_of_date: expectedAsOfDate(calendar, date) };
+
+  if (!day.business_day) {
+    return { ...base, ingest: false, reason: `closed: ${day.holiday}`, session: "closed" };
+  }
+
+  const t = minutesOf(time);
+  if (t < minutesOf(day.open)) {
+    return { ...base, ingest: false, reason: `before_open: ${day.open}`, session: "pre" };
+  }
+  if (t >= minutesOf(day.close) + graceMinutes) {
+    return { ...base, ingest: false, reason: `after_close: ${day.close}`, session: "post" };
+  }
+  return {
+    ...base,
+    ingest: true,
+    reason: null,
+    session: t < minutesOf(day.close) ? "open" : "post",
+  };
+}
@@ -0,0 +1,79 @@
+// lib/columns.js
+// Header-driven CSV column mapping. Columns are located by header name
+// (case- and whitespace-insensitive) so inserting a column in a sheet never
+// shifts values onto the wrong field. Each column can be pinned to a
+// specific header via its env var; a configured header that is not found is
+// an error, optional columns that are simply absent resolve to -1.
+//
+// specs: { field: { env: "ENV_VAR", headers: ["candidate", ...], required } }
+
+export function normalizeHeader(h) {
+  return (h ?? "")
+    .toString()
+    .replace(/^\uFEFF/, "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+// Resolve { field: columnIndex } from the header row; -1 = optional & absent
+export function resolveColumns(headerRow, specs, label, env = process.env) {
+  const header = headerRow.map(normalizeHeader);
+  const columns = {};
+
+  for (const [field, spec] of Object.entries(specs)) {
+    const override = env[spec.env] ? normalizeHeader(env[spec.env]) : null;
+    const candidates = override ? [override] : spec.headers;
+    const idx = header.findIndex((h) => candidates.includes(h));
+
+    if (idx === -1 && (override || spec.required)) {
+      throw new Error(
+        `${label} CSV missing mapped column "${field}" (looked for header ${candidates
+          .map((c) => `"${c}"`)
+          .join(" / ")}${override ? ` from ${spec.env}` : ""})`
+      );
+    }
+
+    columns[field] = idx;
+  }
+
+  return columns;
+}
+
+// { field: header text as it appears in the sheet | null }, for debugging
+export function describeColumns(headerRow, columns) {
+  const out = {};
+  for (const [field, idx] of Object.entries(columns)) {
+    out[field] = idx >= 0 ? headerRow[idx] : null;
+  }
+  return out;
+}
+
+export function isBlankRow(row) {
+  return !row || row.every((v) => (v ?? "").toString().trim() === "");
+}
+
+export function cellText(row, idx) {
+  if (idx < 0) return "";
+  return (row[idx] ?? "").toString().trim();
+}
+
+// "$1,234.50" -> 1234.5; blank or garbage -> null
+export function cellNumber(row, idx) {
+  const raw = cellText(row, idx).replace(/[$,\s]/g, "");
+  if (raw === "") return null;
+  const n = parseFloat(raw);
+  return isFinite(n) ? n : null;
+}
+
+// Strict YYYY-MM-DD that is also a real calendar date
+export function isISODate(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false;
+  const [y, m, d] = s.split("-").map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return (
+    dt.getUTCFullYear() === y &&
+    dt.getUTCMonth() === m - 1 &&
+    dt.getUTCDate() === d
+  );
+}
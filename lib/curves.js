@@ -0,0 +1,157 @@
+// lib/curves.js
+// Read path for metals_curve_history. A date can have been ingested more
+// than once; every load is a version (migrations/011_metals_versions.sql)
+// and reads use the date's current one.
+
+const num = (v) => (v === null || v === undefined ? null : Number(v));
+
+// [{ as_of_date, metal, real_10yr_yld, dollar_index, deficit_gdp_flag,
+//    inserted_at, version, points: [{ tenor_months, price }] }] ordered by
+// date, metal, tenor. version / inserted_at: the current load of the date.
+// from/to: YYYY-MM-DD inclusive; metals/tenors: optional filters.
+export async function loadCurveHistory(client, { from, to, metals = [], tenors = [] }) {
+  const { rows } = await client.query(
+    `
+    SELECT DISTINCT ON (h.as_of_date, h.metal, h.tenor_months)
+           h.as_of_date::text AS as_of_date,
+           h.metal,
+           h.tenor_months,
+           h.price,
+           h.real_10yr_yld,
+           h.dollar_index,
+           h.deficit_gdp_flag,
+           h.inserted_at,
+           v.version
+    FROM metals_curve_history h
+    JOIN metals_curve_versions v ON v.id = h.version_id AND v.is_current
+    WHERE h.as_of_date BETWEEN $1::date AND $2::date
+      AND (cardinality($3::text[]) = 0 OR h.metal = ANY($3::text[]))
+      AND (cardinality($4::int[]) = 0 OR h.tenor_months = ANY($4::int[]))
+    ORDER BY h.as_of_date, h.metal, h.tenor_months, h.id DESC
+    `,
+    [from, to, metals, tenors]
+  );
+
+  const curves = [];
+  let cur = null;
+
+  for (const r of rows) {
+    if (!cur || cur.as_of_date !== r.as_of_date || cur.metal !== r.metal) {
+      cur = {
+        as_of_date: r.as_of_date,
+        metal: r.metal,
+        real_10yr_yld: null,
+        dollar_index: null,
+        deficit_gdp_flag: null,
+        inserted_at: r.inserted_at,
+        version: r.version,
+        points: [],
+      };
+      curves.push(cur);
+    }
+
+    // Macro factors repeat on every row of a date; take the first non-null
+    if (cur.real_10yr_yld === null) cur.real_10yr_yld = num(r.real_10yr_yld);
+    if (cur.dollar_index === null) cur.dollar_index = num(r.dollar_index);
+    if (cur.deficit_gdp_flag === null) cur.deficit_gdp_flag = r.deficit_gdp_flag;
+    if (r.inserted_at > cur.inserted_at) cur.inserted_at = r.inserted_at;
+
+    cur.points.push({ tenor_months: r.tenor_months, price: Number(r.price) });
+  }
+
+  return curves;
+}
+
+// --------------------------------------------------
+// Versions of one as_of_date (/api/metals/versions)
+// --------------------------------------------------
+
+// [{ version, is_current, run_id, source, row_count, restored_from,
+//    created_at, run_job, run_status }] newest first
+export async function listCurveVersions(client, asOfDate) {
+  const { rows } = await client.query(
+    `
+    SELECT v.version,
+           v.is_current,
+           v.run_id,
+           v.source,
+           v.row_count,
+           v.restored_from,
+           v.created_at,
+           r.job AS run_job,
+           r.status AS run_status
+    FROM metals_curve_versions v
+    LEFT JOIN ingest_runs r ON r.id = v.run_id
+    WHERE v.as_of_date = $1::date
+    ORDER BY v.version DESC
+    `,
+    [asOfDate]
+  );
+  return rows.map((r) => ({ ...r, run_id: r.run_id === null ? null : Number(r.run_id) }));
+}
+
+// Rows of one version (the current one when version is null), ordered by
+// metal and tenor: [{ metal, tenor_months, price, real_10yr_yld,
+// dollar_index, deficit_gdp_flag }]
+export async function loadCurveVersion(client, asOfDate, version = null) {
+  const { rows } = await client.query(
+    `
+    SELECT DISTINCT ON (h.metal, h.tenor_months)
+           h.metal,
+           h.tenor_months,
+           h.price,
+           h.real_10yr_yld,
+           h.dollar_index,
+           h.deficit_gdp_flag
+    FROM metals_curve_history h
+    JOIN metals_curve_versions v ON v.id = h.version_id
+    WHERE v.as_of_date = $1::date
+      AND ($2::int IS NULL AND v.is_current OR v.version = $2::int)
+    ORDER BY h.metal, h.tenor_months, h.id DESC
+    `,
+    [asOfDate, version]
+  );
+  return rows.map((r) => ({
+    metal: r.metal,
+    tenor_months: r.tenor_months,
+    price: Number(r.price),
+    real_10yr_yld: num(r.real_10yr_yld),
+    dollar_index: num(r.dollar_index),
+    deficit_gdp_flag: r.deficit_gdp_flag,
+  }));
+}
+
+const DIFF_FIELDS = ["price", "real_10yr_yld", "dollar_index", "deficit_gdp_flag"];
+
+// What changed from one version's rows to another's, per (metal, tenor):
+// [{ metal, tenor_months, change: "added" | "removed" | "changed",
+//    fields: [...], before: {...} | null, after: {...} | null,
+//    price_change, price_change_pct }] (unchanged points are left out)
+export function diffCurveRows(before, after) {
+  const key = (r) => `${r.metal}|${r.tenor_months}`;
+  const old = new Map(before.map((r) => [key(r), r]));
+  const cur = new Map(after.map((r) => [key(r), r]));
+  const pick = (r) => (r ? Object.fromEntries(DIFF_FIELDS.map((f) => [f, r[f]])) : null);
+
+  const changes = [];
+  for (const k of [...new Set([...old.keys(), ...cur.keys()])]) {
+    const a = old.get(k) ?? null;
+    const b = cur.get(k) ?? null;
+    const fields = a && b ? DIFF_FIELDS.filter((f) => a[f] !== b[f]) : DIFF_FIELDS;
+    if (!fields.length) continue;
+
+    const priceChange = a && b ? b.price - a.price : null;
+    changes.push({
+      metal: (a ?? b).metal,
+      tenor_months: (a ?? b).tenor_months,
+      change: !a ? "added" : !b ? "removed" : "changed",
+      fields: a && b ? fields : [],
+      before: pick(a),
+      after: pick(b),
+      price_change: priceChange,
+      price_change_pct: priceChange === null || !a.price ? null : (priceChange / a.price) * 100,
+    });
+  }
+
+  return changes.sort((x, y) => x.metal.localeCompare(y.metal) || x.tenor_months - y.tenor_months);
+}
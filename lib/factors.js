@@ -0,0 +1,172 @@
+// lib/factors.js
+// Rolling-window regression of front-month metal returns on the macro
+// factors captured with every curve (pure functions, no DB access):
+//
+//   ln(P_t / P_t-1) = alpha + b_yld * d(real_10yr_yld) + b_dxy * d(dollar_index) + e_t
+//
+// fit by OLS over the last `window` observations ending at t. Per date:
+//   beta_real_yld, beta_dollar_index  sensitivity of the daily log return
+//   r2                                fit of the window
+//   residual_z                        today's residual over the window's
+//                                     residual standard error
+//   fair_value                        P_t-1 moved by the fitted return, i.e.
+//                                     the price today's factor moves imply
+
+import { priceAtTenor } from "./analytics.js";
+
+const DEFAULT_WINDOW = 60;
+
+// Below this many observations a 3-parameter fit is noise
+export const MIN_WINDOW = 10;
+
+export const FACTOR_WINDOW = (() => {
+  const n = Number(process.env.METALS_FACTOR_WINDOW);
+  return Number.isInteger(n) && n >= MIN_WINDOW ? n : DEFAULT_WINDOW;
+})();
+
+// Front month = 1m, interpolated when the sheet doesn't quote it exactly;
+// falls back to the shortest quoted tenor
+const FRONT_TENOR = 1;
+
+const round = (v, digits = 4) => {
+  if (v === null || v === undefined || !Number.isFinite(v)) return null;
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+};
+
+// Solves A x = b (Gaussian elimination, partial pivoting); null if singular
+function solve(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-12) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    for (let r = col + 1; r < n; r++) {
+      const f = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = M[r][n];
+    for (let c = r + 1; c < n; c++) s -= M[r][c] * x[c];
+    x[r] = s / M[r][r];
+  }
+  return x;
+}
+
+// OLS with intercept. xs: [[x1, x2, ...]] per observation.
+// Returns { coef: [alpha, b1, ...], residuals, r2, se } or null when the
+// factors don't vary enough to separate.
+export function ols(xs, ys) {
+  const n = ys.length;
+  const k = xs[0].length + 1;
+  if (n <= k) return null;
+
+  const rows = xs.map((x) => [1, ...x]);
+  const XtX = Array.from({ length: k }, () => new Array(k).fill(0));
+  const Xty = new Array(k).fill(0);
+  for (let i = 0; i < n; i++) {
+    for (let a = 0; a < k; a++) {
+      Xty[a] += rows[i][a] * ys[i];
+      for (let b = 0; b < k; b++) XtX[a][b] += rows[i][a] * rows[i][b];
+    }
+  }
+
+  const coef = solve(XtX, Xty);
+  if (!coef) return null;
+
+  const residuals = rows.map((r, i) => ys[i] - r.reduce((s, v, j) => s + v * coef[j], 0));
+  const mean = ys.reduce((a, b) => a + b, 0) / n;
+  const ssr = residuals.reduce((a, e) => a + e * e, 0);
+  const sst = ys.reduce((a, y) => a + (y - mean) ** 2, 0);
+
+  return {
+    coef,
+    residuals,
+    r2: sst === 0 ? null : 1 - ssr / sst,
+    se: Math.sqrt(ssr / (n - k)),
+  };
+}
+
+// Daily observations for one metal from lib/curves.js curves (date order):
+// front price plus the day-over-day factor changes. Dates missing a factor
+// or a price break the chain and are skipped.
+export function factorObservations(curves) {
+  const obs = [];
+  let prev = null;
+
+  for (const c of curves) {
+    const front = priceAtTenor(c.points, FRONT_TENOR) ?? c.points[0]?.price ?? null;
+    const day = {
+      as_of_date: c.as_of_date,
+      price: front,
+      real_10yr_yld: c.real_10yr_yld,
+      dollar_index: c.dollar_index,
+    };
+    const usable = front > 0 && day.real_10yr_yld !== null && day.dollar_index !== null;
+
+    if (usable && prev) {
+      obs.push({
+        ...day,
+        prev_price: prev.price,
+        ret: Math.log(front / prev.price),
+        d_real_10yr_yld: day.real_10yr_yld - prev.real_10yr_yld,
+        d_dollar_index: day.dollar_index - prev.dollar_index,
+      });
+    }
+    prev = usable ? day : null;
+  }
+  return obs;
+}
+
+// One row per observation; model fields are null until `window`
+// observations are available.
+export function rollingFactorModel(curves, { window = FACTOR_WINDOW } = {}) {
+  const obs = factorObservations(curves);
+
+  return obs.map((o, i) => {
+    const row = {
+      as_of_date: o.as_of_date,
+      price: round(o.price),
+      real_10yr_yld: o.real_10yr_yld,
+      dollar_index: o.dollar_index,
+      beta_real_yld: null,
+      beta_dollar_index: null,
+      alpha: null,
+      r2: null,
+      residual_z: null,
+      fair_value: null,
+      observations: Math.min(i + 1, window),
+    };
+    if (i + 1 < window) return row;
+
+    const slice = obs.slice(i + 1 - window, i + 1);
+    const fit = ols(
+      slice.map((s) => [s.d_real_10yr_yld, s.d_dollar_index]),
+      slice.map((s) => s.ret)
+    );
+    if (!fit) return row;
+
+    const [alpha, bYld, bDxy] = fit.coef;
+    const fitted = alpha + bYld * o.d_real_10yr_yld + bDxy * o.d_dollar_index;
+    const residual = fit.residuals[fit.residuals.length - 1];
+
+    return {
+      ...row,
+      alpha: round(alpha, 6),
+      beta_real_yld: round(bYld, 6),
+      beta_dollar_index: round(bDxy, 6),
+      r2: round(fit.r2),
+      residual_z: fit.se > 0 ? round(residual / fit.se) : null,
+      fair_value: round(o.prev_price * Math.exp(fitted)),
+    };
+  });
+}
@@ -0,0 +1,285 @@
+// lib/fx.js
+// FX rates (migrations/010_fx.sql) and currency conversion for the read
+// path. /api/run loads FX_CSV_URL right after prices, into the same
+// 15-minute bucket, so a price and the rate that converts it line up.
+//
+// The sheet quotes pairs against USD in either direction ("EURUSD 1.08",
+// "USD/JPY 151.2"); each is stored as usd_rate = USD per 1 unit.
+// Prices without a currency are in PRICE_DEFAULT_CURRENCY (default USD);
+// read APIs convert to ?base=XXX, or BASE_CURRENCY (default USD).
+
+import Papa from "papaparse";
+import { columnArrays, lastPerKey } from "./bulk.js";
+import {
+  cellNumber,
+  cellText,
+  describeColumns,
+  isBlankRow,
+  resolveColumns,
+} from "./columns.js";
+import { fetchCsv, saveFetchState } from "./fetch.js";
+import { makeReject, recordRejects, REJECT_REASONS, sourceLine, summarizeRejects } from "./rejects.js";
+import { finishRun, startRun } from "./runs.js";
+
+const CURRENCY_RE = /^[A-Z]{3}$/;
+
+function envCurrency(name) {
+  const c = String(process.env[name] || "").trim().toUpperCase();
+  return CURRENCY_RE.test(c) ? c : "USD";
+}
+
+export const BASE_CURRENCY = envCurrency("BASE_CURRENCY");
+export const DEFAULT_PRICE_CURRENCY = envCurrency("PRICE_DEFAULT_CURRENCY");
+
+// ?base=eur -> "EUR"; absent -> fallback; throws bad_base
+export function parseCurrencyParam(value, fallback = null) {
+  if (value == null || value === "") return fallback;
+  const c = String(value).trim().toUpperCase();
+  if (!CURRENCY_RE.test(c)) throw new Error("bad_base");
+  return c;
+}
+
+// --------------------------------------------------
+// FX sheet
+// --------------------------------------------------
+
+// Pin a column to a specific header via its env var (see lib/columns.js)
+const FX_COLUMNS = {
+  pair: { env: "FX_COL_PAIR", headers: ["pair", "currency pair", "symbol", "ticker"], required: true },
+  rate: { env: "FX_COL_RATE", headers: ["rate", "price", "last", "mid"], required: true },
+};
+
+// "EURUSD", "EUR/USD", "eur.usd", "EURUSD=X" -> { base: "EUR", quote: "USD" }
+export function parsePair(text) {
+  const m = /^([A-Z]{3})[/.\-_ ]?([A-Z]{3})(=X)?$/.exec(String(text ?? "").trim().toUpperCase());
+  return m && m[1] !== m[2] ? { base: m[1], quote: m[2] } : null;
+}
+
+// Returns { rows: [{ currency, usd_rate, pair, line, raw }], rejects, columns }
+// or throws if the file is unusable. Pairs must have USD on one side.
+export function parseFxCsv(text) {
+  const parsed = Papa.parse(String(text ?? "").trim(), {
+    header: false,
+    dynamicTyping: false,
+  });
+  if (parsed.errors?.length) {
+    throw new Error(`CSV parse errors (FX): ${parsed.errors[0].message}`);
+  }
+
+  const data = parsed.data || [];
+  if (data.length < 2) throw new Error("No data rows found in FX CSV");
+
+  const columns = resolveColumns(data[0], FX_COLUMNS, "FX");
+
+  const rows = [];
+  const rejects = [];
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (isBlankRow(row)) continue;
+
+    if (row.length <= Math.max(columns.pair, columns.rate)) {
+      rejects.push(makeReject(row, i, REJECT_REASONS.TOO_FEW_COLUMNS));
+      continue;
+    }
+
+    const pairText = cellText(row, columns.pair);
+    const pair = parsePair(pairText);
+    if (!pair || (pair.base !== "USD" && pair.quote !== "USD")) {
+      rejects.push(makeReject(row, i, REJECT_REASONS.BAD_PAIR));
+      continue;
+    }
+
+    const rate = cellNumber(row, columns.rate);
+    if (rate === null || !(rate > 0)) {
+      rejects.push(makeReject(row, i, REJECT_REASONS.BAD_RATE));
+      continue;
+    }
+
+    rows.push({
+      currency: pair.quote === "USD" ? pair.base : pair.quote,
+      usd_rate: pair.quote === "USD" ? rate : 1 / rate,
+      pair: pairText.toUpperCase(),
+      ...sourceLine(row, i),
+    });
+  }
+
+  return { rows, rejects, columns: describeColumns(data[0], columns) };
+}
+
+const FX_FIELDS = ["currency", "usd_rate", "pair"];
+
+const UNNEST_FX = `
+  unnest($1::text[], $2::numeric[], $3::text[]) AS t(currency, usd_rate, pair)
+`;
+
+// Latest + history in one transaction, like writePrices
+export async function writeFx(client, rows, minuteBucket, source = "gsheet") {
+  if (!rows.length) return;
+
+  const cols = columnArrays(
+    lastPerKey(rows, (r) => r.currency),
+    FX_FIELDS
+  );
+
+  await client.query("BEGIN");
+
+  try {
+    await client.query(
+      `
+      INSERT INTO fx_rates_latest (currency, usd_rate, pair, asof_ts, source)
+      SELECT currency, usd_rate, pair, now(), $4
+      FROM ${UNNEST_FX}
+      ON CONFLICT (currency) DO UPDATE
+      SET usd_rate = EXCLUDED.usd_rate,
+          pair = EXCLUDED.pair,
+          asof_ts = EXCLUDED.asof_ts,
+          source = EXCLUDED.source
+      `,
+      [...cols, source]
+    );
+    await client.query(
+      `
+      INSERT INTO fx_rates_history (currency, usd_rate, pair, asof_ts, minute_bucket, source)
+      SELECT currency, usd_rate, pair, now(), $5, $4
+      FROM ${UNNEST_FX}
+      ON CONFLICT DO NOTHING
+      `,
+      [...cols, source, minuteBucket]
+    );
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback error
+    }
+    throw err;
+  }
+}
+
+// One FX load with its ingest_runs ledger entry. Same shape as the prices
+// result in api/run.js. No FX_CSV_URL = nothing to do (and no run row).
+export async function ingestFx(
+  client,
+  { source = "unknown", minuteBucket, csvUrl = process.env.FX_CSV_URL, logger = console } = {}
+) {
+  if (!csvUrl) return { status: "skipped", reason: "not_configured", processed: 0, skipped: 0 };
+
+  const runId = await startRun(client, "fx", source);
+  let csvHash = null;
+
+  try {
+    const fetched = await fetchCsv(client, "fx", csvUrl);
+    csvHash = fetched.csvHash;
+
+    let result;
+    if (!fetched.changed) {
+      logger.log("FX CSV unchanged since last load, skipping");
+      result = { status: "skipped", reason: "no_change", processed: 0, skipped: 0 };
+    } else {
+      const parsed = parseFxCsv(fetched.text);
+
+      await writeFx(client, parsed.rows, minuteBucket);
+      await saveFetchState(client, "fx", csvUrl, fetched);
+      await recordRejects(client, "fx", source, parsed.rejects, runId);
+
+      logger.log(`FX load complete: processed=${parsed.rows.length}, skipped=${parsed.rejects.length}`);
+      result = {
+        status: "success",
+        reason: null,
+        processed: parsed.rows.length,
+        skipped: parsed.rejects.length,
+        rejects: summarizeRejects(parsed.rejects),
+        columns: parsed.columns,
+        currencies: [...new Set(parsed.rows.map((r) => r.currency))].sort(),
+        minute_bucket_utc: minuteBucket.toISOString(),
+      };
+    }
+
+    await finishRun(client, runId, {
+      status: result.status,
+      reason: result.reason,
+      rowsProcessed: result.processed,
+      rowsRejected: result.skipped,
+      csvHash,
+    });
+    return { run_id: runId, ...result, csv_sha256: csvHash };
+  } catch (err) {
+    logger.error("FX load failed:", err);
+    await finishRun(client, runId, { status: "error", error: String(err), csvHash });
+    return {
+      run_id: runId,
+      status: "error",
+      reason: "fx_load_failed",
+      error: String(err?.message || err),
+      processed: 0,
+      skipped: 0,
+    };
+  }
+}
+
+// --------------------------------------------------
+// Read path
+// --------------------------------------------------
+
+// SQL for the currency of a price row: stored, or the default
+export const priceCurrencySQL = (column) => `coalesce(${column}, '${DEFAULT_PRICE_CURRENCY}')`;
+
+// SQL expression: USD per 1 unit of `currency` (an SQL expression). From
+// fx_rates_latest, or when `at` is given the newest fx_rates_history bucket
+// at or before it. NULL when there is no such rate.
+function usdRateSQL(currency, at) {
+  const lookup = at
+    ? `SELECT f.usd_rate FROM fx_rates_history f
+       WHERE f.currency = ${currency} AND f.minute_bucket <= ${at}
+       ORDER BY f.minute_bucket DESC LIMIT 1`
+    : `SELECT f.usd_rate FROM fx_rates_latest f WHERE f.currency = ${currency}`;
+  return `(CASE WHEN ${currency} = 'USD' THEN 1::numeric ELSE (${lookup}) END)`;
+}
+
+// SQL expression: multiply an amount in `from` by this to get `to`.
+// 1 when they are the same currency, NULL when either rate is missing.
+export function fxFactorSQL(from, to, at = null) {
+  return `(CASE WHEN ${from} = ${to} THEN 1::numeric
+           ELSE ${usdRateSQL(from, at)} / NULLIF(${usdRateSQL(to, at)}, 0) END)`;
+}
+
+// Latest rate of every loaded currency (and USD) in `base`:
+// [{ currency, rate, usd_rate, pair, asof_ts, source, age_minutes }]
+// rate = units of base per 1 unit of currency
+export async function queryLatestRates(client, { base = BASE_CURRENCY, currencies = [] } = {}) {
+  const { rows } = await client.query(
+    `
+    WITH rates AS (
+      SELECT currency, usd_rate, pair, asof_ts, source
+      FROM fx_rates_latest
+      UNION ALL
+      SELECT 'USD', 1, NULL, NULL, NULL
+    )
+    SELECT r.currency,
+           r.usd_rate / NULLIF(${usdRateSQL("$1::text", null)}, 0) AS rate,
+           r.usd_rate,
+           r.pair,
+           r.asof_ts,
+           r.source,
+           EXTRACT(EPOCH FROM (now() - r.asof_ts)) / 60 AS age_minutes
+    FROM rates r
+    WHERE cardinality($2::text[]) = 0 OR r.currency = ANY($2::text[])
+    ORDER BY r.currency
+    `,
+    [base, currencies]
+  );
+
+  const num = (v) => (v === null ? null : Number(v));
+
+  return rows.map((r) => ({
+    currency: r.currency,
+    rate: num(r.rate),
+    usd_rate: Number(r.usd_rate),
+    pair: r.pair,
+    asof_ts: r.asof_ts,
+    source: r.source,
+    age_minutes: r.age_minutes === null ? null : Math.round(Number(r.age_minutes) * 10) / 10,
+  }));
+}
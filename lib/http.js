@@ -0,0 +1,53 @@
+// lib/http.js
+// Query-string parsing and JSON/CSV responses shared by the read endpoints.
+
+import Papa from "papaparse";
+import { isISODate } from "./columns.js";
+
+// "aapl, msft,,GOOG" -> ["AAPL", "MSFT", "GOOG"] (deduped, order kept)
+export function parseList(value, { upper = true } = {}) {
+  if (value == null) return [];
+  const raw = Array.isArray(value) ? value.join(",") : String(value);
+  const items = raw
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => (upper ? s.toUpperCase() : s));
+  return [...new Set(items)];
+}
+
+// Accepts YYYY-MM-DD (midnight UTC) or any full ISO timestamp.
+// Returns a Date, null when absent, or throws on garbage.
+export function parseTimeParam(value, name) {
+  if (value == null || value === "") return null;
+  const s = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s) && !isISODate(s)) throw new Error(`bad_${name}`);
+  const d = isISODate(s) ? new Date(`${s}T00:00:00Z`) : new Date(s);
+  if (Number.isNaN(d.getTime())) throw new Error(`bad_${name}`);
+  return d;
+}
+
+// Strict YYYY-MM-DD date param; returns the string, null when absent
+export function parseDateParam(value, name) {
+  if (value == null || value === "") return null;
+  const s = String(value).trim();
+  if (!isISODate(s)) throw new Error(`bad_${name}`);
+  return s;
+}
+
+export function parseFormat(value) {
+  const f = String(value || "json").toLowerCase();
+  if (f !== "json" && f !== "csv") throw new Error("bad_format");
+  return f;
+}
+
+// Flat rows as CSV (Dates as ISO strings), for spreadsheets
+export function sendCsv(res, rows, filename, columns) {
+  const data = rows.map((r) =>
+    columns.map((col) => (r[col] instanceof Date ? r[col].toISOString() : r[col]))
+  );
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+  return res.status(200).send(Papa.unparse({ fields: columns, data }));
+}
@@ -0,0 +1,129 @@
+// lib/interpolate.js
+// Resamples a futures curve onto a fixed tenor grid so days with different
+// sheet tenors can be compared like with like. Two methods:
+//   linear  piecewise linear between quoted tenors
+//   pchip   monotone cubic (Fritsch–Carlson): smooth, never overshoots
+// Tenors outside the quoted range are not extrapolated; they come back null.
+
+const DEFAULT_STANDARD_TENORS = [1, 3, 6, 12, 24, 36];
+
+export const INTERPOLATION_METHODS = ["linear", "pchip"];
+
+// METALS_INTERPOLATION picks the default; pchip matches the monotone lines
+// the charts draw between tenors
+export const DEFAULT_METHOD = INTERPOLATION_METHODS.includes(process.env.METALS_INTERPOLATION)
+  ? process.env.METALS_INTERPOLATION
+  : "pchip";
+
+// "1,3,6,12" -> [1, 3, 6, 12]; sorted, deduped, positive integers only
+export function parseTenorGrid(value) {
+  const tenors = String(value ?? "")
+    .split(",")
+    .map((s) => Number(s.trim()))
+    .filter((n) => Number.isInteger(n) && n > 0);
+  return [...new Set(tenors)].sort((a, b) => a - b);
+}
+
+// Grid from METALS_STANDARD_TENORS, e.g. "1,3,6,12,24,36"
+export const STANDARD_TENORS = (() => {
+  const fromEnv = parseTenorGrid(process.env.METALS_STANDARD_TENORS);
+  return fromEnv.length ? fromEnv : DEFAULT_STANDARD_TENORS;
+})();
+
+// Query-string helpers for the read endpoints; throw bad_method / bad_tenors
+export function parseMethodParam(value) {
+  if (value == null || value === "") return DEFAULT_METHOD;
+  const m = String(value).trim().toLowerCase();
+  if (!INTERPOLATION_METHODS.includes(m)) throw new Error("bad_method");
+  return m;
+}
+
+export function parseTenorsParam(value) {
+  if (value == null || value === "") return STANDARD_TENORS;
+  const tenors = parseTenorGrid(Array.isArray(value) ? value.join(",") : value);
+  if (!tenors.length) throw new Error("bad_tenors");
+  return tenors;
+}
+
+// Fritsch–Carlson slopes at each knot
+function pchipSlopes(xs, ys) {
+  const n = xs.length;
+  const h = [];
+  const d = [];
+  for (let k = 0; k < n - 1; k++) {
+    h.push(xs[k + 1] - xs[k]);
+    d.push((ys[k + 1] - ys[k]) / h[k]);
+  }
+
+  const m = new Array(n);
+  m[0] = d[0];
+  m[n - 1] = d[n - 2];
+
+  for (let k = 1; k < n - 1; k++) {
+    if (d[k - 1] === 0 || d[k] === 0 || Math.sign(d[k - 1]) !== Math.sign(d[k])) {
+      m[k] = 0; // local extremum or flat: keep it flat so we never overshoot
+    } else {
+      const w1 = 2 * h[k] + h[k - 1];
+      const w2 = h[k] + 2 * h[k - 1];
+      m[k] = (w1 + w2) / (w1 / d[k - 1] + w2 / d[k]);
+    }
+  }
+  return m;
+}
+
+function hermite(x0, x1, y0, y1, m0, m1, x) {
+  const h = x1 - x0;
+  const t = (x - x0) / h;
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return (
+    (2 * t3 - 3 * t2 + 1) * y0 +
+    (t3 - 2 * t2 + t) * h * m0 +
+    (-2 * t3 + 3 * t2) * y1 +
+    (t3 - t2) * h * m1
+  );
+}
+
+// points: [{ tenor_months, price }] (any order). Returns one
+// { tenor_months, price } per requested tenor; price null out of range.
+export function interpolate(points, tenors, method = DEFAULT_METHOD) {
+  if (!INTERPOLATION_METHODS.includes(method)) {
+    throw new Error(`Unknown interpolation method: ${method}`);
+  }
+
+  const sorted = [...points]
+    .filter((p) => Number.isFinite(p.price))
+    .sort((a, b) => a.tenor_months - b.tenor_months);
+  const xs = sorted.map((p) => p.tenor_months);
+  const ys = sorted.map((p) => p.price);
+  const slopes = method === "pchip" && xs.length > 2 ? pchipSlopes(xs, ys) : null;
+
+  return tenors.map((t) => {
+    if (!xs.length || t < xs[0] || t > xs[xs.length - 1]) {
+      return { tenor_months: t, price: null };
+    }
+
+    const exact = xs.indexOf(t);
+    if (exact !== -1) return { tenor_months: t, price: ys[exact] };
+
+    let k = 0;
+    while (xs[k + 1] < t) k++;
+
+    const price = slopes
+      ? hermite(xs[k], xs[k + 1], ys[k], ys[k + 1], slopes[k], slopes[k + 1], t)
+      : ys[k] + ((t - xs[k]) / (xs[k + 1] - xs[k])) * (ys[k + 1] - ys[k]);
+
+    return { tenor_months: t, price };
+  });
+}
+
+// Curve from lib/curves.js resampled onto the grid. Tenors the curve can't
+// reach are dropped from points; quoted_tenors keeps what the sheet had.
+export function resampleCurve(curve, { tenors = STANDARD_TENORS, method = DEFAULT_METHOD } = {}) {
+  return {
+    ...curve,
+    quoted_tenors: curve.points.map((p) => p.tenor_months),
+    method,
+    points: interpolate(curve.points, tenors, method).filter((p) => p.price !== null),
+  };
+}
@@ -0,0 +1,643 @@
+// lib/metals.js
+// Shared metals curve ingestion used by /api/run and /api/metals_run.
+// One CSV parser, one validation policy and one write path, so the same
+// sheet always produces the same rows no matter which endpoint loads it.
+
+import Papa from "papaparse";
+import { columnArrays, lastPerKey } from "./bulk.js";
+import { ANOMALY_CONFIG, applyAnomalyPolicy, checkCurve, loadLastCurve } from "./anomalies.js";
+import { dayInfo, expectedAsOfDate } from "./calendar.js";
+import { isISODate } from "./columns.js";
+import {
+  makeReject,
+  recordRejects,
+  REJECT_REASONS,
+  sourceLine,
+  summarizeRejects,
+} from "./rejects.js";
+import { fetchCsv, saveFetchState } from "./fetch.js";
+import { finishRun, startRun } from "./runs.js";
+
+// --------------------------------------------------
+// Helpers
+// --------------------------------------------------
+
+// Get today's date in America/Chicago as YYYY-MM-DD
+export function getTodayCT() {
+  const now = new Date();
+  const ctString = now.toLocaleString("en-US", { timeZone: "America/Chicago" });
+  const ctDate = new Date(ctString);
+  const y = ctDate.getFullYear();
+  const m = String(ctDate.getMonth() + 1).padStart(2, "0");
+  const d = String(ctDate.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+// Log status in metals_ingest_log
+export async function logIngest(client, runDate, source, status, reason, rowCount) {
+  try {
+    await client.query(
+      `
+      INSERT INTO metals_ingest_log
+        (run_date, source, status, reason, row_count, logged_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+      `,
+      [runDate, source, status, reason, rowCount]
+    );
+  } catch (err) {
+    console.error("Failed to log metals ingest:", err);
+  }
+}
+
+// Trim and strip BOM
+function cleanField(value) {
+  if (value == null) return "";
+  return String(value).replace(/^\uFEFF/, "").trim();
+}
+
+// Turn a numeric-looking string into a number, stripping commas
+function toNumber(value) {
+  const cleaned = cleanField(value).replace(/,/g, ""); // "4,235.10" -> "4235.10"
+  if (cleaned === "") return null;
+  const n = Number(cleaned);
+  return Number.isFinite(n) ? n : null;
+}
+
+// true/false, 1/0, yes/no, y/n -> boolean; anything else -> null
+function parseDeficitFlag(v) {
+  const s = cleanField(v).toLowerCase();
+  if (s === "") return null;
+  if (s === "true" || s === "1" || s === "yes" || s === "y") return true;
+  if (s === "false" || s === "0" || s === "no" || s === "n") return false;
+  return null;
+}
+
+// --------------------------------------------------
+// Parse Metals CSV from the Google Sheet
+// Columns are found by header name (case-insensitive); order does not matter.
+// Required: As Of Date, Metal, Tenor Months, Price
+// Optional: 10 Yr Real Yld, Dollar Index, Deficit GDP Flag
+// Anything else (e.g. CME Contract) is ignored.
+// --------------------------------------------------
+const METALS_REQUIRED_COLS = ["as of date", "metal", "tenor months", "price"];
+
+const METALS_OPTIONAL_COLS = ["10 yr real yld", "dollar index", "deficit gdp flag"];
+
+// Anything else in the Metal column is a typo or a new sheet tab we don't chart
+const KNOWN_METALS = ["gold", "silver"];
+
+// Returns { rows, rejects } (see lib/rejects.js) or throws with a reason-style message when the
+// file itself is unusable (parse error, missing required column). Rows keep
+// their CSV line and raw text so the anomaly review can still quarantine them.
+export function parseMetalsCsv(text) {
+  const parsed = Papa.parse(String(text || "").trim(), {
+    header: false,
+    dynamicTyping: false,
+  });
+  if (parsed.errors?.length) {
+    throw new Error(`csv_parse_error: ${parsed.errors[0].message}`);
+  }
+
+  const data = parsed.data || [];
+  if (data.length < 2) return { rows: [], rejects: [] };
+
+  const header = data[0].map((h) => cleanField(h).toLowerCase().replace(/\s+/g, " "));
+  for (const col of METALS_REQUIRED_COLS) {
+    if (header.indexOf(col) === -1) {
+      throw new Error(`missing_required_column: ${col}`);
+    }
+  }
+
+  const idx = {};
+  for (const col of [...METALS_REQUIRED_COLS, ...METALS_OPTIONAL_COLS]) {
+    idx[col] = header.indexOf(col);
+  }
+  const cell = (row, col) => (idx[col] >= 0 ? row[idx[col]] : "");
+
+  const requiredWidth = Math.max(...METALS_REQUIRED_COLS.map((c) => idx[c])) + 1;
+
+  const rows = [];
+  const rejects = [];
+  const reject = (row, i, reason) => rejects.push(makeReject(row, i, reason));
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+
+    // Blank lines are not data; everything else is either kept or rejected
+    if (!row || row.every((v) => cleanField(v) === "")) continue;
+
+    if (row.length < requiredWidth) {
+      reject(row, i, REJECT_REASONS.TOO_FEW_COLUMNS);
+      continue;
+    }
+
+    const asOf = cleanField(cell(row, "as of date"));
+    const metal = cleanField(cell(row, "metal")).toLowerCase();
+    const tenor = toNumber(cell(row, "tenor months"));
+    const price = toNumber(cell(row, "price"));
+
+    // Validation policy: every key field must be present and well-formed,
+    // and a missing price is a rejected row, never a 0.0 price. A zero or
+    // negative price parses; the anomaly review (lib/anomalies.js) flags it
+    // so it can be quarantined, blocked or forced like the other checks.
+    if (!isISODate(asOf)) {
+      reject(row, i, REJECT_REASONS.NON_ISO_DATE);
+      continue;
+    }
+    if (!KNOWN_METALS.includes(metal)) {
+      reject(row, i, REJECT_REASONS.UNKNOWN_METAL);
+      continue;
+    }
+    if (!Number.isInteger(tenor) || tenor < 0) {
+      reject(row, i, REJECT_REASONS.BAD_TENOR);
+      continue;
+    }
+    if (price === null) {
+      reject(row, i, REJECT_REASONS.BAD_PRICE);
+      continue;
+    }
+
+    rows.push({
+      as_of_date: asOf,
+      metal,
+      tenor_months: tenor,
+      price,
+      real_10yr_yld: toNumber(cell(row, "10 yr real yld")),
+      dollar_index: toNumber(cell(row, "dollar index")),
+      deficit_gdp_flag: parseDeficitFlag(cell(row, "deficit gdp flag")),
+      ...sourceLine(row, i),
+    });
+  }
+
+  return { rows, rejects };
+}
+
+// --------------------------------------------------
+// Write path: latest + history for one as_of_date, in a single transaction,
+// bulk-written with UNNEST (see lib/bulk.js). History is versioned per
+// as_of_date; the backfill (lib/backfill.js) adds versions the same way.
+// --------------------------------------------------
+const METALS_FIELDS = [
+  "as_of_date",
+  "metal",
+  "tenor_months",
+  "price",
+  "real_10yr_yld",
+  "dollar_index",
+  "deficit_gdp_flag",
+];
+
+const UNNEST_METALS = `
+  unnest(
+    $1::date[], $2::text[], $3::int[], $4::numeric[],
+    $5::numeric[], $6::numeric[], $7::boolean[]
+  ) AS t(as_of_date, metal, tenor_months, price,
+         real_10yr_yld, dollar_index, deficit_gdp_flag)
+`;
+
+// New snapshot of asOfDate's curve in metals_curve_history, made the
+// current version (migrations/011_metals_versions.sql). Earlier versions
+// are kept. Call inside a transaction.
+// Returns { id, version, previous } (previous: the version it replaced)
+export async function insertCurveVersion(
+  client,
+  asOfDate,
+  rows,
+  { runId = null, source = null, restoredFrom = null } = {}
+) {
+  // Serializes concurrent loads of the same date (cron, force, restore,
+  // backfill) until commit; otherwise both pick the same next version
+  await client.query("SELECT pg_advisory_xact_lock(hashtext('metals:' || $1::date::text))", [asOfDate]);
+
+  const replaced = await client.query(
+    `
+    UPDATE metals_curve_versions
+    SET is_current = false
+    WHERE as_of_date = $1::date
+      AND is_current
+    RETURNING version
+    `,
+    [asOfDate]
+  );
+
+  const created = await client.query(
+    `
+    INSERT INTO metals_curve_versions
+      (as_of_date, version, is_current, run_id, source, row_count, restored_from)
+    SELECT $1::date, coalesce(max(version), 0) + 1, true, $2, $3, $4, $5
+    FROM metals_curve_versions
+    WHERE as_of_date = $1::date
+    RETURNING id, version
+    `,
+    [asOfDate, runId, source, rows.length, restoredFrom]
+  );
+  const { id, version } = created.rows[0];
+
+  await client.query(
+    `
+    INSERT INTO metals_curve_history
+      (as_of_date, metal, tenor_months, price,
+       real_10yr_yld, dollar_index, deficit_gdp_flag, version_id, inserted_at)
+    SELECT as_of_date, metal, tenor_months, price,
+           real_10yr_yld, dollar_index, deficit_gdp_flag, $8, NOW()
+    FROM ${UNNEST_METALS}
+    `,
+    [...columnArrays(rows, METALS_FIELDS), id]
+  );
+
+  return { id: Number(id), version, previous: replaced.rows[0]?.version ?? null };
+}
+
+async function writeLatestCurve(client, asOfDate, rows) {
+  // Remove any existing rows for this as_of_date in latest, so old tenors cannot hang around
+  await client.query(
+    `
+    DELETE FROM metals_curve_latest
+    WHERE as_of_date = $1
+    `,
+    [asOfDate]
+  );
+
+  // Upsert latest curve (one statement for all tenors)
+  await client.query(
+    `
+    INSERT INTO metals_curve_latest
+      (as_of_date, metal, tenor_months, price,
+       real_10yr_yld, dollar_index, deficit_gdp_flag, updated_at)
+    SELECT as_of_date, metal, tenor_months, price,
+           real_10yr_yld, dollar_index, deficit_gdp_flag, NOW()
+    FROM ${UNNEST_METALS}
+    ON CONFLICT (metal, tenor_months)
+    DO UPDATE SET
+      as_of_date = EXCLUDED.as_of_date,
+      price = EXCLUDED.price,
+      real_10yr_yld = EXCLUDED.real_10yr_yld,
+      dollar_index = EXCLUDED.dollar_index,
+      deficit_gdp_flag = EXCLUDED.deficit_gdp_flag,
+      updated_at = NOW()
+    `,
+    columnArrays(
+      lastPerKey(rows, (r) => `${r.metal}|${r.tenor_months}`),
+      METALS_FIELDS
+    )
+  );
+}
+
+// Latest curve + a new history version. Returns insertCurveVersion's result.
+export async function writeMetalsCurve(client, asOfDate, rows, { runId = null, source = null } = {}) {
+  await client.query("BEGIN");
+
+  try {
+    await writeLatestCurve(client, asOfDate, rows);
+    const version = await insertCurveVersion(client, asOfDate, rows, { runId, source });
+    await client.query("COMMIT");
+    return version;
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback error
+    }
+    throw err;
+  }
+}
+
+// Rollback: an earlier version of asOfDate is copied into a new current
+// version (so the restore is a snapshot of its own, with its own
+// "metals_restore" run), and metals_curve_latest follows when it holds
+// that date. Returns { status: "restored" | "not_found" | "already_current", ... }
+export async function restoreCurveVersion(client, asOfDate, version, { source = "unknown" } = {}) {
+  const target = await client.query(
+    `
+    SELECT id, is_current
+    FROM metals_curve_versions
+    WHERE as_of_date = $1::date
+      AND version = $2
+    `,
+    [asOfDate, version]
+  );
+  if (!target.rows.length) return { status: "not_found", as_of_date: asOfDate, version };
+  if (target.rows[0].is_current) return { status: "already_current", as_of_date: asOfDate, version };
+
+  const { rows } = await client.query(
+    `
+    SELECT DISTINCT ON (metal, tenor_months)
+           as_of_date::text AS as_of_date, metal, tenor_months, price,
+           real_10yr_yld, dollar_index, deficit_gdp_flag
+    FROM metals_curve_history
+    WHERE version_id = $1
+    ORDER BY metal, tenor_months, id DESC
+    `,
+    [target.rows[0].id]
+  );
+
+  const runId = await startRun(client, "metals_restore", source);
+
+  await client.query("BEGIN");
+
+  let created;
+  let latestUpdated = false;
+  try {
+    created = await insertCurveVersion(client, asOfDate, rows, {
+      runId,
+      source,
+      restoredFrom: version,
+    });
+
+    const latest = await client.query(`SELECT max(as_of_date)::text AS as_of_date FROM metals_curve_latest`);
+    if (latest.rows[0].as_of_date === asOfDate) {
+      await writeLatestCurve(client, asOfDate, rows);
+      latestUpdated = true;
+    }
+
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback error
+    }
+    await finishRun(client, runId, { status: "error", reason: "restore_failed", error: String(err) });
+    throw err;
+  }
+
+  await finishRun(client, runId, {
+    status: "success",
+    reason: `restored_from=${version}`,
+    rowsProcessed: rows.length,
+  });
+
+  return {
+    status: "restored",
+    run_id: runId,
+    as_of_date: asOfDate,
+    version: created.version,
+    restored_from: version,
+    previous: created.previous,
+    row_count: rows.length,
+    latest_updated: latestUpdated,
+  };
+}
+
+// --------------------------------------------------
+// Full ingest: fetch, parse, validate, write, log (metals_ingest_log and
+// the ingest_runs ledger).
+// Never throws for expected outcomes; returns
+//   { status: "success" | "skipped" | "error", httpStatus, reason, body, ... }
+// so each endpoint can shape its own response from the same decision.
+// --------------------------------------------------
+export async function ingestMetals(client, opts = {}) {
+  const source = opts.source || "unknown";
+  const runId = await startRun(client, "metals", source);
+
+  try {
+    const result = await runMetalsIngest(client, runId, { ...opts, source });
+    return { ...result, runId, body: { ...result.body, run_id: runId } };
+  } catch (err) {
+    await finishRun(client, runId, { status: "error", reason: "unhandled_exception", error: String(err) });
+    throw err;
+  }
+}
+
+async function runMetalsIngest(
+  client,
+  runId,
+  {
+    source,
+    force = false,
+    today = getTodayCT(),
+    csvUrl = process.env.METALS_CSV_URL,
+    skipIfIngestedToday = source.startsWith("cron"),
+    // Scheduled runs do nothing on days COMEX doesn't settle
+    skipClosedDays = skipIfIngestedToday,
+  }
+) {
+  // The sheet should carry today's settlement date, or the last one on a
+  // weekend / holiday (lib/calendar.js)
+  const comexDay = dayInfo("comex", today);
+  const expectedDate = expectedAsOfDate("comex", today);
+
+  // Set once the CSV is fetched / parsed / reviewed; echoed from then on
+  let csvHash = null;
+  let rejects = null;
+  let anomalies = null;
+
+  const finish = async (status, httpStatus, reason, rowCount, body, extra = {}) => {
+    await logIngest(client, today, source, status, reason, rowCount);
+    await finishRun(client, runId, {
+      status,
+      reason,
+      error: status === "error" ? body.error ?? reason : null,
+      rowsProcessed: status === "success" ? rowCount : 0,
+      rowsRejected: rejects?.total ?? 0,
+      csvHash,
+      anomalies,
+    });
+    if (rejects) body = { ...body, rejects };
+    if (anomalies) body = { ...body, anomalies };
+    return { status, httpStatus, reason, rowCount, body, rejects, csvHash, ...extra };
+  };
+
+  // 1) Nothing to load on a closed day, or if a successful ingest already
+  // happened today (for scheduled sources)
+  if (skipClosedDays && !force && !comexDay.business_day) {
+    return finish("skipped", 200, "market_closed", 0, {
+      ok: true,
+      skipped: true,
+      reason: "market_closed",
+      closed_for: comexDay.holiday,
+      expected_as_of_date: expectedDate,
+    });
+  }
+
+  if (skipIfIngestedToday && !force) {
+    const existingLog = await client.query(
+      `
+      SELECT id
+      FROM metals_ingest_log
+      WHERE run_date = $1
+        AND status = 'success'
+      LIMIT 1
+      `,
+      [today]
+    );
+
+    if (existingLog.rows.length > 0) {
+      return finish("skipped", 200, "already_ingested_today", 0, {
+        ok: true,
+        skipped: true,
+        reason: "already_ingested_today",
+      });
+    }
+  }
+
+  // 2) Fetch CSV from Metals sheet
+  if (!csvUrl) {
+    return finish("error", 500, "METALS_CSV_URL_not_configured", 0, {
+      error: "METALS_CSV_URL not configured in environment",
+    });
+  }
+
+  // Conditional unless forced: an unchanged sheet was already ingested
+  let fetched;
+  try {
+    fetched = await fetchCsv(client, "metals", csvUrl, { conditional: !force });
+  } catch (err) {
+    console.error("Metals fetch failed:", err);
+    return finish("error", 500, "fetch_failed", 0, { error: "fetch_failed" });
+  }
+  csvHash = fetched.csvHash;
+
+  if (!fetched.changed) {
+    return finish("skipped", 200, "no_change", 0, {
+      ok: true,
+      skipped: true,
+      reason: "no_change",
+    });
+  }
+
+  const csvText = fetched.text;
+
+  // 3) Parse + per-row validation
+  let parsed;
+  try {
+    parsed = parseMetalsCsv(csvText);
+  } catch (err) {
+    const sample = csvText.slice(0, 400);
+    console.error("Metals CSV debug sample:", sample);
+    return finish("error", 400, err.message, 0, { error: err.message, sample });
+  }
+
+  let { rows } = parsed;
+  await recordRejects(client, "metals", source, parsed.rejects, runId);
+  rejects = summarizeRejects(parsed.rejects);
+
+  if (!rows.length) {
+    const sample = csvText.slice(0, 400); // first 400 characters of what we got
+    console.error("Metals CSV debug sample:", sample);
+    return finish("error", 400, "no_rows_in_sheet_or_bad_headers", 0, {
+      error: "no_rows_in_sheet_or_bad_headers",
+      sample,
+    });
+  }
+
+  // 4) Date validation
+  const uniqueDates = [...new Set(rows.map((r) => r.as_of_date))];
+  let sheetDate = uniqueDates.length === 1 ? uniqueDates[0] : null;
+
+  if (!force) {
+    if (!sheetDate) {
+      return finish("error", 400, "multiple_as_of_dates_in_sheet", rows.length, {
+        error: "multiple_as_of_dates_in_sheet",
+        uniqueDates,
+      });
+    }
+
+    if (sheetDate !== expectedDate) {
+      const reason = `sheet_date_mismatch: sheet=${sheetDate}, expected=${expectedDate}`;
+      return finish("error", 400, reason, rows.length, {
+        error: "sheet_date_mismatch",
+        sheetDate,
+        expectedDate,
+      });
+    }
+  } else {
+    // Force mode: override all dates to the expected business day
+    sheetDate = expectedDate;
+    for (const r of rows) {
+      r.as_of_date = expectedDate;
+    }
+  }
+
+  // 5) Duplicate-date safety check for HISTORY: the date's current version
+  const existingHistory = await client.query(
+    `
+    SELECT h.metal,
+           h.tenor_months,
+           h.price,
+           h.real_10yr_yld,
+           h.dollar_index,
+           h.deficit_gdp_flag,
+           h.inserted_at,
+           v.version
+    FROM metals_curve_history h
+    JOIN metals_curve_versions v ON v.id = h.version_id AND v.is_current
+    WHERE h.as_of_date = $1::date
+    ORDER BY h.metal, h.tenor_months
+    `,
+    [sheetDate]
+  );
+
+  if (existingHistory.rows.length > 0 && !force) {
+    return finish(
+      "skipped",
+      409,
+      "history_exists_for_date",
+      existingHistory.rows.length,
+      {
+        status: "exists",
+        as_of_date: sheetDate,
+        current_version: existingHistory.rows[0].version,
+        existing_row_count: existingHistory.rows.length,
+        existing_rows: existingHistory.rows,
+        message:
+          "Data already exists for this date. Call again with force=1 to load a new version " +
+          "(the current one is kept; see /api/metals/versions).",
+      },
+      { sheetDate }
+    );
+  }
+
+  // 6) Anomaly review against the prior day and neighbouring tenors
+  // (lib/anomalies.js); force writes the rows regardless
+  const review = applyAnomalyPolicy(
+    rows,
+    checkCurve(rows, await loadLastCurve(client, sheetDate), ANOMALY_CONFIG.metals),
+    {
+      policy: ANOMALY_CONFIG.metals.policy,
+      force,
+      key: (r) => `${r.metal}|${r.tenor_months}`,
+    }
+  );
+  anomalies = review.decision;
+
+  if (review.blocked) {
+    return finish("error", 422, "anomalies_detected", rows.length, {
+      error: "anomalies_detected",
+      message: "Suspicious prices in the sheet. Fix them, or call again with force=1 to load anyway.",
+    });
+  }
+
+  if (review.quarantined.length) {
+    await recordRejects(client, "metals", source, review.quarantined, runId);
+    rejects = summarizeRejects([...parsed.rejects, ...review.quarantined]);
+    rows = review.rows;
+  }
+
+  if (!rows.length) {
+    return finish("error", 422, "all_rows_quarantined", 0, { error: "all_rows_quarantined" });
+  }
+
+  // 7) Write to Neon (latest + a new history version) inside a transaction
+  const written = await writeMetalsCurve(client, sheetDate, rows, { runId, source });
+  await saveFetchState(client, "metals", csvUrl, fetched);
+
+  const goldRows = rows.filter((r) => r.metal === "gold").length;
+  const silverRows = rows.filter((r) => r.metal === "silver").length;
+
+  return finish(
+    "success",
+    200,
+    null,
+    rows.length,
+    {
+      ok: true,
+      sheetDate,
+      rowCount: rows.length,
+      version: written.version,
+      previous_version: written.previous,
+      trigger_source: source,
+    },
+    { sheetDate, goldRows, silverRows, version: written.version }
+  );
+}
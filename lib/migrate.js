@@ -0,0 +1,120 @@
+// lib/migrate.js
+// Versioned schema migrations: ordered SQL files in /migrations named
+// NNN_description.sql, tracked in schema_migrations. Each file is applied
+// once, in its own transaction, in filename order.
+
+import { createHash } from "node:crypto";
+import { readdir, readFile } from "node:fs/promises";
+
+const MIGRATIONS_DIR = new URL("../migrations/", import.meta.url);
+const FILE_RE = /^(\d+)_([\w-]+)\.sql$/;
+
+// Arbitrary constant so two concurrent `migrate apply` runs serialize
+const ADVISORY_LOCK_KEY = 72410531;
+
+const CREATE_TRACKING_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version     TEXT PRIMARY KEY,
+    name        TEXT NOT NULL,
+    checksum    TEXT NOT NULL,
+    applied_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+  );
+`;
+
+function checksum(sql) {
+  return createHash("sha256").update(sql).digest("hex");
+}
+
+// [{ version, name, file, sql, checksum }] sorted by version
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await readdir(dir)).filter((f) => f.endsWith(".sql")).sort();
+  const migrations = [];
+  const seen = new Set();
+
+  for (const file of files) {
+    const m = FILE_RE.exec(file);
+    if (!m) throw new Error(`Bad migration filename: ${file} (expected NNN_name.sql)`);
+
+    const [, version, name] = m;
+    if (seen.has(version)) throw new Error(`Duplicate migration version: ${version}`);
+    seen.add(version);
+
+    const sql = await readFile(new URL(file, dir), "utf8");
+    migrations.push({ version, name, file, sql, checksum: checksum(sql) });
+  }
+
+  return migrations;
+}
+
+async function appliedMigrations(client) {
+  await client.query(CREATE_TRACKING_TABLE);
+  const { rows } = await client.query(
+    "SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version"
+  );
+  return new Map(rows.map((r) => [r.version, r]));
+}
+
+// One entry per known migration: state is "applied", "pending" or
+// "changed" (file edited after it was applied)
+export async function migrationStatus(client) {
+  const [migrations, applied] = await Promise.all([
+    loadMigrations(),
+    appliedMigrations(client),
+  ]);
+
+  return migrations.map((m) => {
+    const row = applied.get(m.version);
+    let state = "pending";
+    if (row) state = row.checksum === m.checksum ? "applied" : "changed";
+    return {
+      version: m.version,
+      name: m.name,
+      state,
+      applied_at: row?.applied_at ?? null,
+    };
+  });
+}
+
+// Applies every pending migration; returns the versions applied
+export async function applyMigrations(client, logger = console) {
+  await client.query("SELECT pg_advisory_lock($1)", [ADVISORY_LOCK_KEY]);
+
+  try {
+    const migrations = await loadMigrations();
+    const applied = await appliedMigrations(client);
+    const done = [];
+
+    for (const m of migrations) {
+      const row = applied.get(m.version);
+      if (row) {
+        if (row.checksum !== m.checksum) {
+          logger.warn(`Migration ${m.file} changed since it was applied; not re-running`);
+        }
+        continue;
+      }
+
+      logger.log(`Applying ${m.file}`);
+      await client.query("BEGIN");
+      try {
+        await client.query(m.sql);
+        await client.query(
+          "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)",
+          [m.version, m.name, m.checksum]
+        );
+        await client.query("COMMIT");
+      } catch (err) {
+        try {
+          await client.query("ROLLBACK");
+        } catch {
+          // ignore rollback error
+        }
+        throw new Error(`Migration ${m.file} failed: ${err.message}`);
+      }
+      done.push(m.version);
+    }
+
+    return done;
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [ADVISORY_LOCK_KEY]).catch(() => {});
+  }
+}
@@ -0,0 +1,80 @@
+// lib/notify.js
+// Delivery channels for lib/alerts.js. Each channel is an async
+// send(alert) that throws on failure; a channel whose env isn't set is
+// skipped rather than failed. Point any of them at a local sink
+// (npm run alerts:sink) to see what would go out.
+//
+//   webhook  POST JSON to ALERT_WEBHOOK_URL; `text` makes it readable as a
+//            Slack / Teams incoming webhook
+//   email    POST to an HTTP mail API at ALERT_EMAIL_URL (Resend-style
+//            { from, to, subject, text } with a Bearer ALERT_EMAIL_API_KEY)
+//   log      console.warn, always available
+
+const SEND_TIMEOUT_MS = 5000;
+
+class NotConfigured extends Error {}
+
+async function postJson(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+}
+
+const CHANNELS = new Map();
+
+// Add or replace a channel, e.g. registerChannel("pagerduty", async (alert) => ...)
+export function registerChannel(name, send) {
+  CHANNELS.set(name, send);
+}
+
+registerChannel("webhook", async (alert) => {
+  const url = process.env.ALERT_WEBHOOK_URL;
+  if (!url) throw new NotConfigured("ALERT_WEBHOOK_URL not set");
+  await postJson(url, { text: `[kmwm] ${alert.message}`, ...alert });
+});
+
+registerChannel("email", async (alert) => {
+  const url = process.env.ALERT_EMAIL_URL;
+  const to = process.env.ALERT_EMAIL_TO;
+  if (!url || !to) throw new NotConfigured("ALERT_EMAIL_URL / ALERT_EMAIL_TO not set");
+
+  const apiKey = process.env.ALERT_EMAIL_API_KEY;
+  await postJson(
+    url,
+    {
+      from: process.env.ALERT_EMAIL_FROM || "kmwm-alerts@localhost",
+      to: to.split(",").map((s) => s.trim()).filter(Boolean),
+      subject: `[kmwm] ${alert.rule}: ${alert.message}`,
+      text: `${alert.message}\n\n${JSON.stringify(alert.payload, null, 2)}`,
+    },
+    apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+  );
+});
+
+registerChannel("log", async (alert) => {
+  console.warn(`ALERT [${alert.rule}] ${alert.message}`);
+});
+
+// Sends one alert on each named channel. Never throws; returns
+// { webhook: "sent", email: "skipped: ...", sms: "error: unknown channel" }
+export async function deliver(channels, alert) {
+  const results = {};
+  for (const name of channels) {
+    const send = CHANNELS.get(name);
+    if (!send) {
+      results[name] = "error: unknown channel";
+      continue;
+    }
+    try {
+      await send(alert);
+      results[name] = "sent";
+    } catch (err) {
+      results[name] = err instanceof NotConfigured ? `skipped: ${err.message}` : `error: ${err.message}`;
+    }
+  }
+  return results;
+}
@@ -0,0 +1,325 @@
+// lib/portfolio.js
+// Portfolio valuation: positions joined with prices_latest (today) or the
+// nearest prices_history bucket (any past date). Lots of the same ticker in
+// the same account are combined into one position.
+//
+// Day change compares against the last prices_history bucket before the
+// start of the valuation day in America/Chicago (the prior close).
+//
+// Values are in one base currency (lib/fx.js): each price is converted at
+// the FX rate for its own bucket (latest rates for current prices). Cost
+// basis is taken to be in the ticker's currency and converted at the
+// valuation rate, so P&L is the local-currency gain expressed in base.
+
+import { BASE_CURRENCY, fxFactorSQL, priceCurrencySQL } from "./fx.js";
+import { DEFAULT_MAX_AGE_MINUTES } from "./prices.js";
+
+// A historical price further than this from the valuation instant is flagged
+const HISTORY_MAX_GAP_MINUTES = 4 * 24 * 60;
+
+// Holdings grouped per (account, ticker). cost_basis is NULL unless every lot has one.
+const POSITIONS_CTE = (table, where = "") => `
+  SELECT account,
+         ticker,
+         sum(quantity) AS quantity,
+         CASE WHEN bool_and(cost_basis IS NOT NULL) THEN sum(cost_basis) END AS cost_basis,
+         min(open_date)::text AS open_date,
+         count(*)::int AS lots
+  FROM ${table}
+  ${where}
+  GROUP BY account, ticker
+`;
+
+// Last bucket strictly before $start for pos.ticker
+const PRIOR_CLOSE_JOIN = (startParam) => `
+  LEFT JOIN LATERAL (
+    SELECT h.price, h.currency, h.minute_bucket
+    FROM prices_history h
+    WHERE h.ticker = pos.ticker
+      AND h.minute_bucket < ${startParam}
+    ORDER BY h.minute_bucket DESC
+    LIMIT 1
+  ) prev ON true
+`;
+
+// FX factor columns for the current price (cur) and the prior close (prev)
+const FX_COLUMNS = (curCurrency, curAt, baseParam) => `
+  ${priceCurrencySQL(curCurrency)} AS currency,
+  ${fxFactorSQL(priceCurrencySQL(curCurrency), baseParam, curAt)} AS fx_rate,
+  ${fxFactorSQL(priceCurrencySQL("prev.currency"), baseParam, "prev.minute_bucket")} AS prev_fx_rate
+`;
+
+// $1 = base currency
+const CURRENT_SQL = `
+  WITH pos AS (${POSITIONS_CTE("positions_latest")}),
+       bounds AS (
+         SELECT (date_trunc('day', now() AT TIME ZONE 'America/Chicago'))
+                  AT TIME ZONE 'America/Chicago' AS day_start
+       )
+  SELECT pos.*,
+         (now() AT TIME ZONE 'America/Chicago')::date::text AS valuation_date,
+         NULL::text AS snapshot_date,
+         pl.price,
+         pl.asof_ts AS price_asof,
+         EXTRACT(EPOCH FROM (now() - pl.asof_ts)) / 60 AS price_age_minutes,
+         prev.price AS prev_price,
+         prev.minute_bucket AS prev_price_asof,
+         ${FX_COLUMNS("pl.currency", null, "$1::text")}
+  FROM pos
+  CROSS JOIN bounds
+  LEFT JOIN prices_latest pl ON pl.ticker = pos.ticker
+  ${PRIOR_CLOSE_JOIN("bounds.day_start")}
+  ORDER BY pos.account, pos.ticker
+`;
+
+// $1 = valuation date, $2 = base currency. Holdings = newest positions_history load on or
+// before it; price = prices_history bucket nearest to the end of that day.
+const HISTORICAL_SQL = `
+  WITH bounds AS (
+         SELECT ($1::date)::timestamp AT TIME ZONE 'America/Chicago' AS day_start,
+                ($1::date + 1)::timestamp AT TIME ZONE 'America/Chicago' AS day_end
+       ),
+       snap AS (
+         SELECT snapshot_date, loaded_at
+         FROM positions_history
+         WHERE snapshot_date <= $1::date
+         ORDER BY snapshot_date DESC, loaded_at DESC
+         LIMIT 1
+       ),
+       pos AS (${POSITIONS_CTE(
+         "positions_history",
+         "WHERE (snapshot_date, loaded_at) = (SELECT snapshot_date, loaded_at FROM snap)"
+       )})
+  SELECT pos.*,
+         $1::date::text AS valuation_date,
+         (SELECT snapshot_date::text FROM snap) AS snapshot_date,
+         cur.price,
+         cur.minute_bucket AS price_asof,
+         EXTRACT(EPOCH FROM (bounds.day_end - cur.minute_bucket)) / 60 AS price_age_minutes,
+         prev.price AS prev_price,
+         prev.minute_bucket AS prev_price_asof,
+         ${FX_COLUMNS("cur.currency", "cur.minute_bucket", "$2::text")}
+  FROM pos
+  CROSS JOIN bounds
+  LEFT JOIN LATERAL (
+    SELECT c.price, c.currency, c.minute_bucket
+    FROM (
+      (SELECT h.price, h.currency, h.minute_bucket
+       FROM prices_history h
+       WHERE h.ticker = pos.ticker AND h.minute_bucket <= bounds.day_end
+       ORDER BY h.minute_bucket DESC
+       LIMIT 1)
+      UNION ALL
+      (SELECT h.price, h.currency, h.minute_bucket
+       FROM prices_history h
+       WHERE h.ticker = pos.ticker AND h.minute_bucket > bounds.day_end
+       ORDER BY h.minute_bucket ASC
+       LIMIT 1)
+    ) c
+    ORDER BY abs(EXTRACT(EPOCH FROM (c.minute_bucket - bounds.day_end)))
+    LIMIT 1
+  ) cur ON true
+  ${PRIOR_CLOSE_JOIN("bounds.day_start")}
+  ORDER BY pos.account, pos.ticker
+`;
+
+const round = (v, digits = 2) => {
+  if (v === null || v === undefined || !Number.isFinite(v)) return null;
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+};
+
+const num = (v) => (v === null || v === undefined ? null : Number(v));
+
+const pct = (part, whole) => (part === null || !whole ? null : round((part / whole) * 100, 4));
+
+// Amount in base currency; null when either side is missing
+const convert = (v, fx) => (v === null || fx === null ? null : v * fx);
+
+function positionFromRow(r, maxAgeMinutes) {
+  const quantity = Number(r.quantity);
+  const nativePrice = num(r.price);
+  const fx = num(r.fx_rate);
+  const price = convert(nativePrice, fx);
+  const prevPrice = convert(num(r.prev_price), num(r.prev_fx_rate));
+  const costBasis = convert(num(r.cost_basis), fx);
+  const age = num(r.price_age_minutes);
+
+  const marketValue = price === null ? null : quantity * price;
+  const prevValue = prevPrice === null ? null : quantity * prevPrice;
+  const pnl = marketValue === null || costBasis === null ? null : marketValue - costBasis;
+  const dayChange = marketValue === null || prevValue === null ? null : marketValue - prevValue;
+
+  return {
+    account: r.account,
+    ticker: r.ticker,
+    lots: r.lots,
+    quantity,
+    open_date: r.open_date,
+    price,
+    currency: r.currency,
+    native_price: nativePrice,
+    fx_rate: fx,
+    fx_missing: nativePrice !== null && fx === null,
+    price_asof: r.price_asof,
+    price_age_minutes: round(age, 1),
+    price_missing: price === null,
+    is_stale: price !== null && Math.abs(age) > maxAgeMinutes,
+    prev_price: prevPrice,
+    prev_price_asof: r.prev_price_asof,
+    market_value: marketValue,
+    cost_basis: costBasis,
+    unrealized_pnl: pnl,
+    unrealized_pnl_pct: pct(pnl, costBasis),
+    day_change: dayChange,
+    day_change_pct: pct(dayChange, prevValue),
+    // weights filled in once totals are known
+    weight_pct: null,
+    account_weight_pct: null,
+  };
+}
+
+// Sums over positions that have the field; null when none do
+function sumOf(items, key) {
+  const vals = items.map((i) => i[key]).filter((v) => v !== null);
+  return vals.length ? vals.reduce((a, b) => a + b, 0) : null;
+}
+
+function summarize(items) {
+  const marketValue = sumOf(items, "market_value");
+  // P&L % only over positions where both cost and value are known
+  const withPnl = items.filter((i) => i.unrealized_pnl !== null);
+  const pnl = sumOf(withPnl, "unrealized_pnl");
+  const pnlCost = sumOf(withPnl, "cost_basis");
+  const withDay = items.filter((i) => i.day_change !== null);
+  const dayChange = sumOf(withDay, "day_change");
+  const prevValue = withDay.length
+    ? withDay.reduce((a, i) => a + i.quantity * i.prev_price, 0)
+    : null;
+
+  return {
+    positions: items.length,
+    market_value: round(marketValue),
+    cost_basis: round(sumOf(items, "cost_basis")),
+    unrealized_pnl: round(pnl),
+    unrealized_pnl_pct: pct(pnl, pnlCost),
+    day_change: round(dayChange),
+    day_change_pct: pct(dayChange, prevValue),
+    missing_prices: items.filter((i) => i.price_missing).length,
+    missing_fx: items.filter((i) => i.fx_missing).length,
+    stale_prices: items.filter((i) => i.is_stale).length,
+  };
+}
+
+// date: YYYY-MM-DD for a historical valuation, null for "now".
+// Returns { valuation_date, snapshot_date, base_currency, total, accounts,
+// positions }, or null when there are no holdings on/before the date.
+export async function valuePortfolio(
+  client,
+  { date = null, maxAgeMinutes = DEFAULT_MAX_AGE_MINUTES, base = BASE_CURRENCY } = {}
+) {
+  const { rows } = date
+    ? await client.query(HISTORICAL_SQL, [date, base])
+    : await client.query(CURRENT_SQL, [base]);
+
+  if (!rows.length) return null;
+
+  const staleAfter = date ? HISTORY_MAX_GAP_MINUTES : maxAgeMinutes;
+  const positions = rows.map((r) => positionFromRow(r, staleAfter));
+
+  const total = summarize(positions);
+
+  const byAccount = new Map();
+  for (const p of positions) {
+    if (!byAccount.has(p.account)) byAccount.set(p.account, []);
+    byAccount.get(p.account).push(p);
+  }
+
+  const accounts = [];
+  for (const [account, items] of byAccount) {
+    const summary = summarize(items);
+    for (const p of items) {
+      p.account_weight_pct = pct(p.market_value, summary.market_value);
+    }
+    accounts.push({
+      account,
+      ...summary,
+      weight_pct: pct(summary.market_value, total.market_value),
+    });
+  }
+
+  for (const p of positions) {
+    p.weight_pct = pct(p.market_value, total.market_value);
+    p.market_value = round(p.market_value);
+    p.unrealized_pnl = round(p.unrealized_pnl);
+    p.day_change = round(p.day_change);
+  }
+
+  return {
+    valuation_date: rows[0].valuation_date,
+    snapshot_date: rows[0].snapshot_date,
+    base_currency: base,
+    total,
+    accounts,
+    positions,
+  };
+}
+
+// Daily portfolio value for [from, to] (YYYY-MM-DD, America/Chicago days):
+// each day's holdings snapshot valued at the last prices_history bucket
+// before that day ends. Only past prices are used, so the line never
+// "sees" a later close. Values in `base`, at each price's own FX bucket.
+// [{ date, market_value, tickers, missing_prices }]
+export async function portfolioValueSeries(client, { from, to, base = BASE_CURRENCY }) {
+  const { rows } = await client.query(
+    `
+    WITH days AS (
+      SELECT d::date AS day,
+             (d::date + 1)::timestamp AT TIME ZONE 'America/Chicago' AS day_end
+      FROM generate_series($1::date, $2::date, interval '1 day') AS d
+    ),
+    snaps AS (
+      SELECT days.day, days.day_end, s.snapshot_date, s.loaded_at
+      FROM days
+      JOIN LATERAL (
+        SELECT snapshot_date, loaded_at
+        FROM positions_history
+        WHERE snapshot_date <= days.day
+        ORDER BY snapshot_date DESC, loaded_at DESC
+        LIMIT 1
+      ) s ON true
+    ),
+    holdings AS (
+      SELECT snaps.day, snaps.day_end, h.ticker, sum(h.quantity) AS quantity
+      FROM snaps
+      JOIN positions_history h
+        ON h.snapshot_date = snaps.snapshot_date
+       AND h.loaded_at = snaps.loaded_at
+      GROUP BY snaps.day, snaps.day_end, h.ticker
+    )
+    SELECT holdings.day::text AS date,
+           sum(holdings.quantity * px.price) AS market_value,
+           count(*)::int AS tickers,
+           (count(*) FILTER (WHERE px.price IS NULL))::int AS missing_prices
+    FROM holdings
+    LEFT JOIN LATERAL (
+      SELECT p.price * ${fxFactorSQL(priceCurrencySQL("p.currency"), "$3::text", "p.minute_bucket")} AS price
+      FROM prices_history p
+      WHERE p.ticker = holdings.ticker
+        AND p.minute_bucket < holdings.day_end
+      ORDER BY p.minute_bucket DESC
+      LIMIT 1
+    ) px ON true
+    GROUP BY holdings.day
+    ORDER BY holdings.day
+    `,
+    [from, to, base]
+  );
+
+  return rows.map((r) => ({
+    date: r.date,
+    market_value: round(num(r.market_value)),
+    tickers: r.tickers,
+    missing_prices: r.missing_prices,
+  }));
+}
@@ -0,0 +1,273 @@
+// lib/positions.js
+// Holdings ingestion for /api/load-positions: fetch POSITIONS_CSV_URL, map
+// columns by header, validate tickers against prices_latest, then replace
+// positions_latest and append a dated snapshot to positions_history.
+
+import Papa from "papaparse";
+import { columnArrays } from "./bulk.js";
+import {
+  cellNumber,
+  cellText,
+  describeColumns,
+  isBlankRow,
+  isISODate,
+  resolveColumns,
+} from "./columns.js";
+import { fetchCsv, saveFetchState } from "./fetch.js";
+import { getTodayCT } from "./metals.js";
+import { makeReject, recordRejects, REJECT_REASONS, summarizeRejects } from "./rejects.js";
+import { finishRun, startRun } from "./runs.js";
+
+// Pin any column to a specific header via its env var (see lib/columns.js)
+const POSITION_COLUMNS = {
+  account: { env: "POSITIONS_COL_ACCOUNT", headers: ["account", "account name", "acct"], required: true },
+  ticker: { env: "POSITIONS_COL_TICKER", headers: ["ticker", "symbol"], required: true },
+  quantity: { env: "POSITIONS_COL_QUANTITY", headers: ["quantity", "qty", "shares"], required: true },
+  cost_basis: { env: "POSITIONS_COL_COST_BASIS", headers: ["cost basis", "total cost", "cost"] },
+  open_date: { env: "POSITIONS_COL_OPEN_DATE", headers: ["open date", "date acquired", "acquired"] },
+};
+
+const POSITION_FIELDS = ["account", "ticker", "quantity", "cost_basis", "open_date"];
+
+const UNNEST_POSITIONS = `
+  unnest($1::text[], $2::text[], $3::numeric[], $4::numeric[], $5::date[])
+    AS t(account, ticker, quantity, cost_basis, open_date)
+`;
+
+// knownTickers: Set of tickers in prices_latest; anything else is rejected
+// so a typo can't silently value a holding at zero.
+// Returns { rows, rejects, columns } or throws if the file is unusable.
+export function parsePositionsCsv(text, knownTickers) {
+  const parsed = Papa.parse(String(text || "").trim(), {
+    header: false,
+    dynamicTyping: false,
+  });
+  if (parsed.errors?.length) {
+    throw new Error(`CSV parse errors (positions): ${parsed.errors[0].message}`);
+  }
+
+  const data = parsed.data || [];
+  if (data.length < 2) throw new Error("No data rows found in positions CSV");
+
+  const columns = resolveColumns(data[0], POSITION_COLUMNS, "Positions");
+  const requiredWidth = Math.max(columns.account, columns.ticker, columns.quantity) + 1;
+
+  const rows = [];
+  const rejects = [];
+  const reject = (row, i, reason) => rejects.push(makeReject(row, i, reason));
+
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    if (isBlankRow(row)) continue;
+
+    if (row.length < requiredWidth) {
+      reject(row, i, REJECT_REASONS.TOO_FEW_COLUMNS);
+      continue;
+    }
+
+    const account = cellText(row, columns.account);
+    const ticker = cellText(row, columns.ticker).toUpperCase();
+    const quantity = cellNumber(row, columns.quantity);
+    const costText = cellText(row, columns.cost_basis);
+    const costBasis = cellNumber(row, columns.cost_basis);
+    const openDate = cellText(row, columns.open_date);
+
+    if (!account) {
+      reject(row, i, REJECT_REASONS.MISSING_ACCOUNT);
+      continue;
+    }
+    if (!ticker) {
+      reject(row, i, REJECT_REASONS.MISSING_TICKER);
+      continue;
+    }
+    if (!knownTickers.has(ticker)) {
+      reject(row, i, REJECT_REASONS.UNKNOWN_TICKER);
+      continue;
+    }
+    if (quantity === null || quantity === 0) {
+      reject(row, i, REJECT_REASONS.BAD_QUANTITY);
+      continue;
+    }
+    if (costText !== "" && costBasis === null) {
+      reject(row, i, REJECT_REASONS.BAD_COST_BASIS);
+      continue;
+    }
+    if (openDate !== "" && !isISODate(openDate)) {
+      reject(row, i, REJECT_REASONS.NON_ISO_DATE);
+      continue;
+    }
+
+    rows.push({
+      account,
+      ticker,
+      quantity,
+      cost_basis: costBasis,
+      open_date: openDate || null,
+    });
+  }
+
+  return { rows, rejects, columns: describeColumns(data[0], columns) };
+}
+
+// Replace current holdings and append the snapshot, all or nothing
+export async function writePositions(client, rows, snapshotDate, runId) {
+  const cols = columnArrays(rows, POSITION_FIELDS);
+
+  await client.query("BEGIN");
+
+  try {
+    await client.query("DELETE FROM positions_latest");
+    await client.query(
+      `
+      INSERT INTO positions_latest
+        (account, ticker, quantity, cost_basis, open_date, run_id, loaded_at)
+      SELECT account, ticker, quantity, cost_basis, open_date, $6, now()
+      FROM ${UNNEST_POSITIONS}
+      `,
+      [...cols, runId]
+    );
+    await client.query(
+      `
+      INSERT INTO positions_history
+        (snapshot_date, account, ticker, quantity, cost_basis, open_date, run_id, loaded_at)
+      SELECT $7::date, account, ticker, quantity, cost_basis, open_date, $6, now()
+      FROM ${UNNEST_POSITIONS}
+      `,
+      [...cols, runId, snapshotDate]
+    );
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback error
+    }
+    throw err;
+  }
+}
+
+// Dated snapshot of the current holdings when the CSV hasn't changed since
+// they were loaded, so every load still leaves one. Returns the row count.
+export async function snapshotLatestPositions(client, snapshotDate, runId) {
+  const { rowCount } = await client.query(
+    `
+    INSERT INTO positions_history
+      (snapshot_date, account, ticker, quantity, cost_basis, open_date, run_id, loaded_at)
+    SELECT $1::date, account, ticker, quantity, cost_basis, open_date, $2, now()
+    FROM positions_latest
+    `,
+    [snapshotDate, runId]
+  );
+  return rowCount;
+}
+
+// Full load with ingest_runs ledger entry. Returns
+//   { status: "success" | "skipped" | "error", httpStatus, reason, body }
+export async function ingestPositions(
+  client,
+  {
+    source = "unknown",
+    force = false,
+    today = getTodayCT(),
+    csvUrl = process.env.POSITIONS_CSV_URL,
+  } = {}
+) {
+  const runId = await startRun(client, "positions", source);
+  let csvHash = null;
+  let rejects = null;
+
+  const finish = async (status, httpStatus, reason, rowCount, body) => {
+    await finishRun(client, runId, {
+      status,
+      reason,
+      error: status === "error" ? body.error ?? reason : null,
+      rowsProcessed: status === "success" ? rowCount : 0,
+      rowsRejected: rejects?.total ?? 0,
+      csvHash,
+    });
+    return {
+      status,
+      httpStatus,
+      reason,
+      body: { ...body, run_id: runId, ...(rejects ? { rejects } : {}) },
+    };
+  };
+
+  try {
+    if (!csvUrl) {
+      return finish("error", 500, "POSITIONS_CSV_URL_not_configured", 0, {
+        ok: false,
+        error: "POSITIONS_CSV_URL not configured in environment",
+      });
+    }
+
+    let fetched;
+    try {
+      fetched = await fetchCsv(client, "positions", csvUrl, { conditional: !force });
+    } catch (err) {
+      console.error("Positions fetch failed:", err);
+      return finish("error", 500, "fetch_failed", 0, { ok: false, error: "fetch_failed" });
+    }
+    csvHash = fetched.csvHash;
+
+    // Same holdings as last time: nothing to parse, but still snapshot them
+    if (!fetched.changed) {
+      const rowCount = await snapshotLatestPositions(client, today, runId);
+      if (!rowCount) {
+        return finish("skipped", 200, "no_change", 0, {
+          ok: true,
+          skipped: true,
+          reason: "no_change",
+        });
+      }
+      return finish("success", 200, "no_change", rowCount, {
+        ok: true,
+        unchanged: true,
+        snapshot_date: today,
+        rowCount,
+        trigger_source: source,
+      });
+    }
+
+    const known = await client.query("SELECT ticker FROM prices_latest");
+    const knownTickers = new Set(known.rows.map((r) => r.ticker));
+
+    let parsed;
+    try {
+      parsed = parsePositionsCsv(fetched.text, knownTickers);
+    } catch (err) {
+      return finish("error", 400, "bad_csv", 0, { ok: false, error: err.message });
+    }
+
+    await recordRejects(client, "positions", source, parsed.rejects, runId);
+    rejects = summarizeRejects(parsed.rejects);
+
+    // Never wipe current holdings with an empty or fully rejected file
+    if (!parsed.rows.length) {
+      return finish("error", 400, "no_valid_positions", 0, {
+        ok: false,
+        error: "no_valid_positions",
+      });
+    }
+
+    await writePositions(client, parsed.rows, today, runId);
+    await saveFetchState(client, "positions", csvUrl, fetched);
+
+    return finish("success", 200, null, parsed.rows.length, {
+      ok: true,
+      snapshot_date: today,
+      rowCount: parsed.rows.length,
+      accounts: new Set(parsed.rows.map((r) => r.account)).size,
+      columns: parsed.columns,
+      trigger_source: source,
+    });
+  } catch (err) {
+    await finishRun(client, runId, {
+      status: "error",
+      reason: "unhandled_exception",
+      error: String(err),
+      csvHash,
+    });
+    throw err;
+  }
+}
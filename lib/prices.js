@@ -0,0 +1,207 @@
+// lib/prices.js
+// Price write path: prices_latest + prices_history for one minute bucket,
+// written in a single transaction with one UNNEST statement per table.
+
+import { columnArrays, lastPerKey } from "./bulk.js";
+import { fxFactorSQL, priceCurrencySQL } from "./fx.js";
+
+const PRICE_FIELDS = ["ticker", "price", "currency", "bid", "ask", "volume", "exchange", "source"];
+
+const UNNEST_PRICES = `
+  unnest(
+    $1::text[], $2::numeric[], $3::text[], $4::numeric[],
+    $5::numeric[], $6::numeric[], $7::text[], $8::text[]
+  ) AS t(ticker, price, currency, bid, ask, volume, exchange, source)
+`;
+
+const upsertLatestSQL = `
+  INSERT INTO prices_latest
+    (ticker, price, currency, bid, ask, volume, exchange, asof_ts, source)
+  SELECT ticker, price, currency, bid, ask, volume, exchange, now(), source
+  FROM ${UNNEST_PRICES}
+  ON CONFLICT (ticker) DO UPDATE
+  SET price = EXCLUDED.price,
+      currency = EXCLUDED.currency,
+      bid = EXCLUDED.bid,
+      ask = EXCLUDED.ask,
+      volume = EXCLUDED.volume,
+      exchange = EXCLUDED.exchange,
+      asof_ts = EXCLUDED.asof_ts,
+      source = EXCLUDED.source;
+`;
+
+const insertHistorySQL = `
+  INSERT INTO prices_history
+    (ticker, price, currency, bid, ask, volume, exchange, asof_ts, minute_bucket, source)
+  SELECT ticker, price, currency, bid, ask, volume, exchange, now(), $9, source
+  FROM ${UNNEST_PRICES}
+  ON CONFLICT DO NOTHING;
+`;
+
+// rows: [{ ticker, price, currency, bid, ask, volume, exchange, source }]
+// source: the adapter the row came from (lib/sources.js)
+// Either both tables get the whole batch or neither does.
+export async function writePrices(client, rows, minuteBucket) {
+  if (!rows.length) return;
+
+  const cols = columnArrays(
+    lastPerKey(rows, (r) => r.ticker),
+    PRICE_FIELDS
+  );
+
+  await client.query("BEGIN");
+
+  try {
+    await client.query(upsertLatestSQL, cols);
+    await client.query(insertHistorySQL, [...cols, minuteBucket]);
+    await client.query("COMMIT");
+  } catch (err) {
+    try {
+      await client.query("ROLLBACK");
+    } catch {
+      // ignore rollback error
+    }
+    throw err;
+  }
+}
+
+// --------------------------------------------------
+// Read path: latest prices with staleness
+// --------------------------------------------------
+
+// A ticker whose asof_ts is older than this stopped updating (removed from
+// the sheet, #N/A cell, ...). Override per deployment or per request.
+export const DEFAULT_MAX_AGE_MINUTES = Number(process.env.PRICE_MAX_AGE_MINUTES) || 60;
+
+// Minutes past the equities close that still load, so the closing
+// prices make it into a bucket
+export const PRICE_GRACE_MINUTES = Number(process.env.PRICE_INGEST_GRACE_MINUTES ?? 20);
+
+// tickers: optional filter (empty = all)
+// [{ ticker, price, currency, bid, ask, volume, exchange, asof_ts, source, age_minutes, is_stale }]
+// base: convert price/bid/ask to this currency at the latest FX rate; rows
+// then also carry native_currency, native_price and fx_rate (null price
+// when there is no rate for the pair).
+export async function queryLatestPrices(
+  client,
+  { tickers = [], maxAgeMinutes = DEFAULT_MAX_AGE_MINUTES, base = null } = {}
+) {
+  const { rows } = await client.query(
+    `
+    SELECT ticker,
+           price,
+           ${priceCurrencySQL("currency")} AS currency,
+           bid,
+           ask,
+           volume,
+           exchange,
+           asof_ts,
+           source,
+           EXTRACT(EPOCH FROM (now() - asof_ts)) / 60 AS age_minutes,
+           CASE WHEN $2::text IS NOT NULL
+                THEN ${fxFactorSQL(priceCurrencySQL("pl.currency"), "$2::text")}
+           END AS fx_rate
+    FROM prices_latest pl
+    WHERE cardinality($1::text[]) = 0 OR ticker = ANY($1::text[])
+    ORDER BY ticker
+    `,
+    [tickers, base]
+  );
+
+  const num = (v) => (v === null ? null : Number(v));
+
+  return rows.map((r) => {
+    const age = Number(r.age_minutes);
+    const price = {
+      ticker: r.ticker,
+      price: Number(r.price),
+      currency: r.currency,
+      bid: num(r.bid),
+      ask: num(r.ask),
+      volume: num(r.volume),
+      exchange: r.exchange,
+      asof_ts: r.asof_ts,
+      source: r.source,
+      age_minutes: Math.round(age * 10) / 10,
+      is_stale: age > maxAgeMinutes,
+    };
+    if (!base) return price;
+
+    const fx = num(r.fx_rate);
+    const convert = (v) => (v === null || fx === null ? null : v * fx);
+    return {
+      ...price,
+      price: convert(price.price),
+      currency: base,
+      bid: convert(price.bid),
+      ask: convert(price.ask),
+      native_currency: r.currency,
+      native_price: price.price,
+      fx_rate: fx,
+    };
+  });
+}
+
+// --------------------------------------------------
+// Read path: OHLC bars from prices_history
+// --------------------------------------------------
+
+// Bucket widths for queryPriceHistory; weeks start Monday 00:00 UTC
+export const HISTORY_INTERVALS = {
+  "15m": "15 minutes",
+  "1h": "1 hour",
+  "1d": "1 day",
+  "1w": "7 days",
+};
+
+// Monday, so 1w buckets line up with calendar weeks
+const BUCKET_ORIGIN = "2000-01-03T00:00:00Z";
+
+// One bar per ticker per bucket in [from, to):
+// [{ ticker, bucket, currency, open, high, low, close, count }]
+// base: each 15-minute price is converted at the FX rate of its own bucket
+// (the newest fx_rates_history row at or before it) before aggregating;
+// prices with no rate yet are left out.
+export async function queryPriceHistory(client, { tickers, from, to, interval, limit, base = null }) {
+  const { rows } = await client.query(
+    `
+    WITH px AS (
+      SELECT p.ticker,
+             p.minute_bucket,
+             coalesce($7::text, ${priceCurrencySQL("p.currency")}) AS currency,
+             CASE WHEN $7::text IS NULL THEN p.price
+                  ELSE p.price * ${fxFactorSQL(priceCurrencySQL("p.currency"), "$7::text", "p.minute_bucket")}
+             END AS price
+      FROM prices_history p
+      WHERE p.ticker = ANY($1::text[])
+        AND p.minute_bucket >= $2
+        AND p.minute_bucket < $3
+    )
+    SELECT ticker,
+           date_bin($4::interval, minute_bucket, $5::timestamptz) AS bucket,
+           (array_agg(currency ORDER BY minute_bucket DESC))[1] AS currency,
+           (array_agg(price ORDER BY minute_bucket ASC))[1]  AS open,
+           max(price)                                        AS high,
+           min(price)                                        AS low,
+           (array_agg(price ORDER BY minute_bucket DESC))[1] AS close,
+           count(*)::int                                     AS count
+    FROM px
+    WHERE price IS NOT NULL
+    GROUP BY ticker, bucket
+    ORDER BY ticker, bucket
+    LIMIT $6
+    `,
+    [tickers, from, to, HISTORY_INTERVALS[interval], BUCKET_ORIGIN, limit, base]
+  );
+
+  return rows.map((r) => ({
+    ticker: r.ticker,
+    bucket: r.bucket,
+    currency: r.currency,
+    open: Number(r.open),
+    high: Number(r.high),
+    low: Number(r.low),
+    close: Number(r.close),
+    count: r.count,
+  }));
+}
@@ -0,0 +1,70 @@
+// lib/rejects.js
+// Quarantine for CSV rows a loader refused: written to ingest_rejects and
+// summarized by reason code in the run response.
+
+import Papa from "papaparse";
+import { columnArrays } from "./bulk.js";
+
+// Reason codes used by the loaders
+export const REJECT_REASONS = {
+  TOO_FEW_COLUMNS: "too_few_columns",
+  MISSING_TICKER: "missing_ticker",
+  BAD_PRICE: "bad_price",
+  NON_ISO_DATE: "non_iso_date",
+  UNKNOWN_METAL: "unknown_metal",
+  BAD_TENOR: "bad_tenor",
+  MISSING_ACCOUNT: "missing_account",
+  BAD_QUANTITY: "bad_quantity",
+  BAD_COST_BASIS: "bad_cost_basis",
+  UNKNOWN_TICKER: "unknown_ticker",
+  BAD_PAIR: "bad_pair",
+  BAD_RATE: "bad_rate",
+  BAD_TIMESTAMP: "bad_timestamp",
+  // Price sources (lib/sources.js): quoted only by sources the ticker's
+  // PRICE_SOURCE_PRIORITY list excludes
+  NO_ALLOWED_SOURCE: "no_allowed_source",
+  // Anomaly checks (lib/anomalies.js): well-formed rows that don't look right
+  ZERO_PRICE: "zero_price",
+  PRICE_JUMP: "price_jump",
+  TENOR_OUTLIER: "tenor_outlier",
+  NON_MONOTONIC: "non_monotonic",
+};
+
+// { line, raw } for a parsed CSV row (dataIndex 0 = header). Loaders keep
+// it on accepted rows so a later check can still quarantine them.
+export function sourceLine(row, dataIndex) {
+  return {
+    line: dataIndex + 1,
+    raw: Papa.unparse([row ?? []]),
+  };
+}
+
+// { line, raw, reason } for a parsed CSV row
+export function makeReject(row, dataIndex, reason) {
+  return { ...sourceLine(row, dataIndex), reason };
+}
+
+// { total, by_reason: { bad_price: 2, ... } }
+export function summarizeRejects(rejects) {
+  const byReason = {};
+  for (const r of rejects) byReason[r.reason] = (byReason[r.reason] || 0) + 1;
+  return { total: rejects.length, by_reason: byReason };
+}
+
+// Best effort, like logIngest: a failed quarantine write never fails the run
+export async function recordRejects(client, job, source, rejects, runId = null) {
+  if (!rejects.length) return;
+
+  try {
+    await client.query(
+      `
+      INSERT INTO ingest_rejects (job, source, run_id, line_number, raw, reason, detail)
+      SELECT $1, $2, $3, line, raw, reason, detail
+      FROM unnest($4::int[], $5::text[], $6::text[], $7::text[]) AS t(line, raw, reason, detail)
+      `,
+      [job, source, runId, ...columnArrays(rejects, ["line", "raw", "reason", "detail"])]
+    );
+  } catch (err) {
+    console.error(`Failed to record ${job} rejects:`, err);
+  }
+}
@@ -0,0 +1,73 @@
+// lib/runs.js
+// Ingest run ledger (ingest_runs): every prices and metals run gets a row
+// when it starts and is closed with its outcome when it finishes.
+// Like logIngest, ledger writes are best effort and never fail the run.
+
+import { createHash } from "node:crypto";
+
+export function hashCsv(text) {
+  return createHash("sha256").update(String(text ?? "")).digest("hex");
+}
+
+// Returns the new run id, or null if the ledger could not be written
+export async function startRun(client, job, triggerSource) {
+  try {
+    const { rows } = await client.query(
+      `
+      INSERT INTO ingest_runs (job, trigger_source)
+      VALUES ($1, $2)
+      RETURNING id
+      `,
+      [job, triggerSource]
+    );
+    return Number(rows[0].id);
+  } catch (err) {
+    console.error(`Failed to start ${job} ingest run:`, err);
+    return null;
+  }
+}
+
+export async function finishRun(
+  client,
+  runId,
+  {
+    status,
+    reason = null,
+    error = null,
+    rowsProcessed = 0,
+    rowsRejected = 0,
+    csvHash = null,
+    anomalies = null,
+  }
+) {
+  if (runId == null) return;
+
+  try {
+    await client.query(
+      `
+      UPDATE ingest_runs
+      SET status = $2,
+          reason = $3,
+          error = $4,
+          rows_processed = $5,
+          rows_rejected = $6,
+          csv_sha256 = $7,
+          anomalies = $8,
+          finished_at = now()
+      WHERE id = $1
+      `,
+      [
+        runId,
+        status,
+        reason,
+        error,
+        rowsProcessed,
+        rowsRejected,
+        csvHash,
+        anomalies === null ? null : JSON.stringify(anomalies),
+      ]
+    );
+  } catch (err) {
+    console.error(`Failed to finish ingest run ${runId}:`, err);
+  }
+}
@@ -0,0 +1,409 @@
+// lib/sources.js
+// Price source adapters for /api/run. Each configured source is read,
+// parsed into price rows tagged with the source name, and the loader picks
+// one row per ticker by priority, so a broken or stale feed only costs the
+// tickers nobody else quotes.
+//
+// PRICE_SOURCES (JSON array, in default priority order):
+//   { "name": "gsheet", "type": "csv",  "url": "https://...", "columns": { "price": "Last" } }
+//   { "name": "backup", "type": "json", "url": "https://...", "path": "data",
+//     "fields": { "ticker": "symbol", "price": "last" }, "headers": { "X-Key": "env:BACKUP_KEY" } }
+//   { "name": "drop",   "type": "file", "dir": "/srv/price-drop" }   newest *.csv / *.json
+//   { "name": "vendor", "type": "stub", "prices": { "AAPL": 190.5 } }
+// "currency": "EUR" on a source applies to its rows without a currency
+// column; otherwise they get PRICE_DEFAULT_CURRENCY (lib/fx.js).
+// Unset: a single csv source "gsheet" reading PRICE_CSV_URL, as before.
+//
+// PRICE_SOURCE_PRIORITY (JSON, optional): per-ticker order, e.g.
+//   { "default": ["gsheet", "backup"], "GLD": ["vendor", "gsheet"] }
+// A ticker only takes prices from the sources in its list.
+
+import { readdir, readFile, stat } from "node:fs/promises";
+import path from "node:path";
+import Papa from "papaparse";
+import {
+  cellNumber,
+  cellText,
+  describeColumns,
+  isBlankRow,
+  resolveColumns,
+} from "./columns.js";
+import { compareFetched, fetchCsv, saveFetchState } from "./fetch.js";
+import { DEFAULT_PRICE_CURRENCY } from "./fx.js";
+import { makeReject, REJECT_REASONS, sourceLine } from "./rejects.js";
+
+// ----- Price CSV layout -----
+// Located by header name (lib/columns.js); pin a column to a specific header
+// via its env var, e.g. PRICE_COL_PRICE="Last Close", or per source with
+// "columns" in PRICE_SOURCES.
+export const PRICE_COLUMNS = {
+  ticker: { env: "PRICE_COL_TICKER", headers: ["ticker", "symbol"], required: true },
+  price: { env: "PRICE_COL_PRICE", headers: ["price", "last price", "last"], required: true },
+  currency: { env: "PRICE_COL_CURRENCY", headers: ["currency", "ccy"] },
+  bid: { env: "PRICE_COL_BID", headers: ["bid"] },
+  ask: { env: "PRICE_COL_ASK", headers: ["ask"] },
+  volume: { env: "PRICE_COL_VOLUME", headers: ["volume"] },
+  exchange: { env: "PRICE_COL_EXCHANGE", headers: ["exchange"] },
+};
+
+// --------------------------------------------------
+// Parsers: text -> { rows, rejects, columns }
+// --------------------------------------------------
+
+function priceRow(fields) {
+  const ticker = String(fields.ticker ?? "").trim().toUpperCase();
+  if (!ticker) return { reason: REJECT_REASONS.MISSING_TICKER };
+  if (fields.price === null) return { reason: REJECT_REASONS.BAD_PRICE };
+  return {
+    row: {
+      ticker,
+      price: fields.price,
+      currency: String(fields.currency ?? "").trim().toUpperCase() || null,
+      bid: fields.bid ?? null,
+      ask: fields.ask ?? null,
+      volume: fields.volume ?? null,
+      exchange: String(fields.exchange ?? "").trim() || null,
+    },
+  };
+}
+
+// Throws when the file itself is unusable (parse error, no data, missing
+// mapped header); bad rows come back as rejects
+export function parsePriceCsv(text, { label = "Prices", columns: pinned = {} } = {}) {
+  const parsed = Papa.parse(String(text ?? "").trim(), {
+    header: false,
+    dynamicTyping: false,
+  });
+  if (parsed.errors?.length) {
+    throw new Error(`CSV parse errors (${label}): ${parsed.errors[0].message}`);
+  }
+
+  const data = parsed.data || [];
+  if (data.length < 2) throw new Error(`No data rows found in ${label} CSV`);
+
+  // Per-source header pins go through the same env-var mechanism
+  const env = { ...process.env };
+  for (const [field, header] of Object.entries(pinned)) {
+    if (PRICE_COLUMNS[field]) env[PRICE_COLUMNS[field].env] = header;
+  }
+  const columns = resolveColumns(data[0], PRICE_COLUMNS, label, env);
+
+  const rows = [];
+  const rejects = [];
+
+  // Iterate data rows (skip header row 0)
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+
+    // Blank lines are not data; everything else is either kept or rejected
+    if (isBlankRow(row)) continue;
+
+    if (row.length <= Math.max(columns.ticker, columns.price)) {
+      rejects.push(makeReject(row, i, REJECT_REASONS.TOO_FEW_COLUMNS));
+      continue;
+    }
+
+    const result = priceRow({
+      ticker: cellText(row, columns.ticker),
+      price: cellNumber(row, columns.price),
+      currency: cellText(row, columns.currency),
+      bid: cellNumber(row, columns.bid),
+      ask: cellNumber(row, columns.ask),
+      volume: cellNumber(row, columns.volume),
+      exchange: cellText(row, columns.exchange),
+    });
+    if (result.reason) {
+      rejects.push(makeReject(row, i, result.reason));
+      continue;
+    }
+    rows.push({ ...result.row, ...sourceLine(row, i) });
+  }
+
+  return { rows, rejects, columns: describeColumns(data[0], columns) };
+}
+
+const toNumberOrNull = (v) => {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(String(v).replace(/[$,\s]/g, ""));
+  return Number.isFinite(n) ? n : null;
+};
+
+// JSON feed: an array of objects, or one found at `path` ("data.quotes").
+// fields maps our names to the feed's keys; unmapped fields use our names.
+export function parsePriceJson(text, { path: at = "", fields = {} } = {}) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`JSON parse error: ${err.message}`);
+  }
+  const items = at ? at.split(".").reduce((o, k) => o?.[k], doc) : doc;
+  if (!Array.isArray(items)) throw new Error(`No array of quotes at "${at || "(root)"}"`);
+
+  const key = (f) => fields[f] ?? f;
+  const rows = [];
+  const rejects = [];
+
+  items.forEach((item, i) => {
+    const ref = { line: i + 1, raw: JSON.stringify(item) };
+    if (!item || typeof item !== "object") {
+      rejects.push({ ...ref, reason: REJECT_REASONS.TOO_FEW_COLUMNS });
+      return;
+    }
+    const result = priceRow({
+      ticker: item[key("ticker")],
+      price: toNumberOrNull(item[key("price")]),
+      currency: item[key("currency")],
+      bid: toNumberOrNull(item[key("bid")]),
+      ask: toNumberOrNull(item[key("ask")]),
+      volume: toNumberOrNull(item[key("volume")]),
+      exchange: item[key("exchange")],
+    });
+    if (result.reason) rejects.push({ ...ref, reason: result.reason });
+    else rows.push({ ...result.row, ...ref });
+  });
+
+  return { rows, rejects, columns: null };
+}
+
+// --------------------------------------------------
+// Adapters: read(client, source, { conditional }) ->
+//   { fetched, location, parse(text) }   fetched: lib/fetch.js result
+// --------------------------------------------------
+
+// "env:NAME" header values are read from the environment, so keys stay
+// out of PRICE_SOURCES
+function resolveHeaders(headers = {}) {
+  const out = {};
+  for (const [k, v] of Object.entries(headers)) {
+    out[k] = String(v).startsWith("env:") ? process.env[String(v).slice(4)] ?? "" : String(v);
+  }
+  return out;
+}
+
+async function fetchWithHeaders(client, job, source, conditional) {
+  if (!source.url) throw new Error(`Price source ${source.name} has no url`);
+  return fetchCsv(client, job, source.url, {
+    conditional,
+    headers: resolveHeaders(source.headers),
+  });
+}
+
+const ADAPTERS = new Map();
+
+// Add a source type, e.g. a real vendor SDK in place of "stub"
+export function registerSourceType(type, adapter) {
+  ADAPTERS.set(type, adapter);
+}
+
+registerSourceType("csv", {
+  async read(client, source, job, { conditional }) {
+    return {
+      location: source.url,
+      fetched: await fetchWithHeaders(client, job, source, conditional),
+      parse: (text) => parsePriceCsv(text, { label: `Prices (${source.name})`, columns: source.columns }),
+    };
+  },
+});
+
+registerSourceType("json", {
+  async read(client, source, job, { conditional }) {
+    return {
+      location: source.url,
+      fetched: await fetchWithHeaders(client, job, source, conditional),
+      parse: (text) => parsePriceJson(text, source),
+    };
+  },
+});
+
+// Newest .csv / .json in a directory. Only for deployments with a real
+// disk (not Vercel functions); whoever drops files replaces or rotates them.
+registerSourceType("file", {
+  async read(client, source, job, { conditional }) {
+    if (!source.dir) throw new Error(`Price source ${source.name} has no dir`);
+
+    let newest = null;
+    for (const name of await readdir(source.dir)) {
+      if (!/\.(csv|json)$/i.test(name)) continue;
+      const file = path.join(source.dir, name);
+      const { mtimeMs } = await stat(file);
+      if (!newest || mtimeMs > newest.mtimeMs) newest = { file, mtimeMs };
+    }
+    if (!newest) throw new Error(`No .csv or .json files in ${source.dir}`);
+
+    const text = await readFile(newest.file, "utf8");
+    return {
+      location: newest.file,
+      fetched: await compareFetched(client, job, newest.file, text, { conditional }),
+      parse: (t) =>
+        /\.json$/i.test(newest.file)
+          ? parsePriceJson(t, source)
+          : parsePriceCsv(t, { label: `Prices (${source.name})`, columns: source.columns }),
+    };
+  },
+});
+
+// Stand-in for a vendor API: quotes the configured prices. Shows the shape
+// a real adapter returns and lets fallback be exercised without a vendor.
+registerSourceType("stub", {
+  async read(client, source, job, { conditional }) {
+    const quotes = Object.entries(source.prices || {}).map(([ticker, price]) => ({ ticker, price }));
+    const text = JSON.stringify(quotes);
+    return {
+      location: `stub:${source.name}`,
+      fetched: await compareFetched(client, job, `stub:${source.name}`, text, { conditional }),
+      parse: (t) => parsePriceJson(t),
+    };
+  },
+});
+
+// --------------------------------------------------
+// Configuration
+// --------------------------------------------------
+
+export const DEFAULT_SOURCE = "gsheet";
+
+export function loadSourceConfig(env = process.env) {
+  if (!env.PRICE_SOURCES) {
+    if (!env.PRICE_CSV_URL) throw new Error("Missing PRICE_CSV_URL env var");
+    return [{ name: DEFAULT_SOURCE, type: "csv", url: env.PRICE_CSV_URL }];
+  }
+
+  let sources;
+  try {
+    sources = JSON.parse(env.PRICE_SOURCES);
+  } catch (err) {
+    throw new Error(`PRICE_SOURCES is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(sources) || !sources.length) {
+    throw new Error("PRICE_SOURCES must be a non-empty JSON array");
+  }
+
+  const names = new Set();
+  for (const s of sources) {
+    if (!s?.name || names.has(s.name)) throw new Error(`PRICE_SOURCES: missing or duplicate name "${s?.name}"`);
+    if (!ADAPTERS.has(s.type)) throw new Error(`PRICE_SOURCES: unknown type "${s.type}" for ${s.name}`);
+    names.add(s.name);
+  }
+  return sources;
+}
+
+// { default: [names], byTicker: { TICKER: [names] } }
+export function loadPriority(sources, env = process.env) {
+  const names = sources.map((s) => s.name);
+  let config = {};
+  if (env.PRICE_SOURCE_PRIORITY) {
+    try {
+      config = JSON.parse(env.PRICE_SOURCE_PRIORITY);
+    } catch (err) {
+      throw new Error(`PRICE_SOURCE_PRIORITY is not valid JSON: ${err.message}`);
+    }
+  }
+
+  const known = (list) => (Array.isArray(list) ? list.filter((n) => names.includes(n)) : null);
+  const byTicker = {};
+  for (const [ticker, list] of Object.entries(config)) {
+    if (ticker !== "default" && known(list)) byTicker[ticker.toUpperCase()] = known(list);
+  }
+  return { default: known(config.default) ?? names, byTicker };
+}
+
+// --------------------------------------------------
+// Read every source, then pick one row per ticker
+// --------------------------------------------------
+
+// ingest_fetch_state job per source; migrations/012 moved the old
+// single-sheet "prices" row to DEFAULT_SOURCE's key
+const fetchJob = (source) => `prices:${source.name}`;
+
+// [{ source, status: "ok" | "unchanged" | "error", rows, rejects, ... }].
+// Conditional first; if anything changed, unchanged sources are re-read in
+// full so their tickers still compete on priority this run.
+export async function readSources(client, sources, logger = console) {
+  const readOne = async (source, conditional) => {
+    try {
+      const { location, fetched, parse } = await ADAPTERS.get(source.type).read(
+        client,
+        source,
+        fetchJob(source),
+        { conditional }
+      );
+      if (!fetched.changed) {
+        return { source, status: "unchanged", csvHash: fetched.csvHash, rows: [], rejects: [] };
+      }
+      const parsed = parse(fetched.text);
+      return {
+        source,
+        status: "ok",
+        location,
+        fetched,
+        csvHash: fetched.csvHash,
+        columns: parsed.columns,
+        rows: parsed.rows.map((r) => ({
+          ...r,
+          currency: r.currency ?? source.currency?.toUpperCase() ?? DEFAULT_PRICE_CURRENCY,
+          source: source.name,
+        })),
+        rejects: parsed.rejects.map((r) => ({ ...r, detail: `source=${source.name}` })),
+      };
+    } catch (err) {
+      logger.error(`Price source ${source.name} failed:`, err);
+      return { source, status: "error", error: String(err?.message || err), rows: [], rejects: [] };
+    }
+  };
+
+  const results = [];
+  for (const s of sources) results.push(await readOne(s, true));
+
+  if (results.some((r) => r.status === "ok")) {
+    for (let i = 0; i < results.length; i++) {
+      if (results[i].status === "unchanged") results[i] = await readOne(sources[i], false);
+    }
+  }
+  return results;
+}
+
+// Remember what was loaded; call only after the write succeeded
+export async function commitSources(client, results) {
+  for (const r of results) {
+    if (r.status === "ok") await saveFetchState(client, fetchJob(r.source), r.location, r.fetched);
+  }
+}
+
+// rows: candidates from every source. Returns { rows, fallbacks, unpicked }
+// with one row per ticker from the first source in its priority list that
+// has it; fallbacks lists tickers that didn't get their first choice.
+// unpicked: rejects (no_allowed_source) for tickers only quoted by sources
+// their priority list leaves out, one per quoting source, so a price that
+// stopped moving shows up in ingest_rejects instead of vanishing.
+export function pickBySource(rows, priority) {
+  const byTicker = new Map();
+  for (const r of rows) {
+    if (!byTicker.has(r.ticker)) byTicker.set(r.ticker, new Map());
+    // Within one source the last row for a ticker wins, as in writePrices
+    byTicker.get(r.ticker).set(r.source, r);
+  }
+
+  const picked = [];
+  const fallbacks = [];
+  const unpicked = [];
+  for (const [ticker, bySource] of byTicker) {
+    const order = priority.byTicker[ticker] ?? priority.default;
+    const winner = order.find((name) => bySource.has(name));
+    if (!winner) {
+      for (const r of bySource.values()) {
+        unpicked.push({
+          ticker,
+          line: r.line,
+          raw: r.raw,
+          reason: REJECT_REASONS.NO_ALLOWED_SOURCE,
+          detail: `source=${r.source} allowed=${order.join(",")}`,
+        });
+      }
+      continue;
+    }
+    picked.push(bySource.get(winner));
+    if (winner !== order[0]) fallbacks.push({ ticker, source: winner, preferred: order[0] });
+  }
+  return { rows: picked, fallbacks, unpicked };
+}
@@ -0,0 +1,34 @@
+// middleware.js
+// Dashboard pages take the same API keys as api/ (lib/auth.js). A browser
+// can't send a key header, so /portfolio?key=... stores the key in an
+// HttpOnly cookie and redirects to the URL without it; the page itself
+// validates the key (middleware runs on the Edge runtime, without pg).
+
+import { NextResponse } from "next/server";
+
+// KEY_COOKIE in lib/auth.js
+const KEY_COOKIE = "kmwm_api_key";
+
+const COOKIE_MAX_AGE = 30 * 24 * 60 * 60;
+
+export const config = {
+  matcher: ["/portfolio", "/goldcurve"],
+};
+
+export function middleware(req) {
+  const key = req.nextUrl.searchParams.get("key");
+  if (!key) return NextResponse.next();
+
+  const url = req.nextUrl.clone();
+  url.searchParams.delete("key");
+
+  const res = NextResponse.redirect(url);
+  res.cookies.set(KEY_COOKIE, key, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    path: "/",
+    maxAge: COOKIE_MAX_AGE,
+  });
+  return res;
+}
@@ -0,0 +1,39 @@
+-- 001_prices.sql
+-- Equity prices loaded by /api/run from the Stocks sheet.
+-- IF NOT EXISTS throughout so this also baselines databases that were
+-- created by the old inline DDL in api/run.js.
+
+CREATE TABLE IF NOT EXISTS prices_latest (
+  ticker   TEXT PRIMARY KEY,
+  price    NUMERIC NOT NULL,
+  asof_ts  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  source   TEXT DEFAULT 'gsheet'
+);
+
+CREATE TABLE IF NOT EXISTS prices_history (
+  ticker         TEXT NOT NULL,
+  price          NUMERIC NOT NULL,
+  asof_ts        TIMESTAMPTZ NOT NULL,
+  minute_bucket  TIMESTAMPTZ NOT NULL,
+  source         TEXT DEFAULT 'gsheet',
+  PRIMARY KEY (ticker, minute_bucket)
+);
+
+-- Optional sheet columns (currency, bid/ask, volume, exchange)
+ALTER TABLE prices_latest
+  ADD COLUMN IF NOT EXISTS currency TEXT,
+  ADD COLUMN IF NOT EXISTS bid NUMERIC,
+  ADD COLUMN IF NOT EXISTS ask NUMERIC,
+  ADD COLUMN IF NOT EXISTS volume NUMERIC,
+  ADD COLUMN IF NOT EXISTS exchange TEXT;
+
+ALTER TABLE prices_history
+  ADD COLUMN IF NOT EXISTS currency TEXT,
+  ADD COLUMN IF NOT EXISTS bid NUMERIC,
+  ADD COLUMN IF NOT EXISTS ask NUMERIC,
+  ADD COLUMN IF NOT EXISTS volume NUMERIC,
+  ADD COLUMN IF NOT EXISTS exchange TEXT;
+
+-- Time-range scans across all tickers (the PK covers per-ticker lookups)
+CREATE INDEX IF NOT EXISTS prices_history_minute_bucket_idx
+  ON prices_history (minute_bucket);
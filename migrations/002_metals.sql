@@ -0,0 +1,59 @@
+-- 002_metals.sql
+-- Gold/silver futures curve loaded by /api/run and /api/metals_run
+-- (lib/metals.js), plus the per-run ingest log.
+
+CREATE TABLE IF NOT EXISTS metals_curve_latest (
+  as_of_date        DATE NOT NULL,
+  metal             TEXT NOT NULL,
+  tenor_months      INTEGER NOT NULL,
+  price             NUMERIC NOT NULL,
+  real_10yr_yld     NUMERIC,
+  dollar_index      NUMERIC,
+  deficit_gdp_flag  BOOLEAN,
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (metal, tenor_months)
+);
+
+CREATE INDEX IF NOT EXISTS metals_curve_latest_as_of_date_idx
+  ON metals_curve_latest (as_of_date);
+
+-- Append-only; a date can hold several ingests, newest inserted_at wins
+CREATE TABLE IF NOT EXISTS metals_curve_history (
+  id                BIGSERIAL PRIMARY KEY,
+  as_of_date        DATE NOT NULL,
+  metal             TEXT NOT NULL,
+  tenor_months      INTEGER NOT NULL,
+  price             NUMERIC NOT NULL,
+  real_10yr_yld     NUMERIC,
+  dollar_index      NUMERIC,
+  deficit_gdp_flag  BOOLEAN,
+  inserted_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Tables created before this file lack the row id (readers order by it) and
+-- stored the deficit flag as numeric 0/1
+ALTER TABLE metals_curve_history
+  ADD COLUMN IF NOT EXISTS id BIGSERIAL;
+
+ALTER TABLE metals_curve_latest
+  ALTER COLUMN deficit_gdp_flag TYPE BOOLEAN USING deficit_gdp_flag::int <> 0;
+
+ALTER TABLE metals_curve_history
+  ALTER COLUMN deficit_gdp_flag TYPE BOOLEAN USING deficit_gdp_flag::int <> 0;
+
+CREATE INDEX IF NOT EXISTS metals_curve_history_date_curve_idx
+  ON metals_curve_history (as_of_date, metal, tenor_months, inserted_at DESC);
+
+CREATE TABLE IF NOT EXISTS metals_ingest_log (
+  id         BIGSERIAL PRIMARY KEY,
+  run_date   DATE NOT NULL,
+  source     TEXT NOT NULL,
+  status     TEXT NOT NULL CHECK (status IN ('success', 'skipped', 'error')),
+  reason     TEXT,
+  row_count  INTEGER NOT NULL DEFAULT 0,
+  logged_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- "Already ingested today?" lookup in lib/metals.js
+CREATE INDEX IF NOT EXISTS metals_ingest_log_run_date_status_idx
+  ON metals_ingest_log (run_date, status);
@@ -0,0 +1,16 @@
+-- 003_ingest_rejects.sql
+-- Every CSV row a loader rejects, with the reason, so bad sheet cells can be
+-- found and fixed instead of disappearing into a "skipped" count.
+
+CREATE TABLE IF NOT EXISTS ingest_rejects (
+  id           BIGSERIAL PRIMARY KEY,
+  job          TEXT NOT NULL,          -- 'prices' | 'metals'
+  source       TEXT,                   -- trigger source / tag of the run
+  line_number  INTEGER NOT NULL,       -- 1-based CSV line (header = 1)
+  raw          TEXT NOT NULL,
+  reason       TEXT NOT NULL,          -- e.g. bad_price, unknown_metal
+  rejected_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS ingest_rejects_job_rejected_at_idx
+  ON ingest_rejects (job, rejected_at DESC);
@@ -0,0 +1,30 @@
+-- 004_ingest_runs.sql
+-- One row per loader run (prices and metals), whatever the outcome.
+
+CREATE TABLE IF NOT EXISTS ingest_runs (
+  id              BIGSERIAL PRIMARY KEY,
+  job             TEXT NOT NULL,          -- 'prices' | 'metals'
+  trigger_source  TEXT,                   -- tag / source query param
+  status          TEXT NOT NULL DEFAULT 'running'
+                  CHECK (status IN ('running', 'success', 'skipped', 'error')),
+  reason          TEXT,                   -- machine-readable outcome detail
+  error           TEXT,                   -- error text for failed runs
+  rows_processed  INTEGER NOT NULL DEFAULT 0,
+  rows_rejected   INTEGER NOT NULL DEFAULT 0,
+  csv_sha256      TEXT,                   -- hash of the fetched CSV body
+  started_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at     TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS ingest_runs_job_status_id_idx
+  ON ingest_runs (job, status, id DESC);
+
+CREATE INDEX IF NOT EXISTS ingest_runs_started_at_idx
+  ON ingest_runs (started_at DESC);
+
+-- Tie quarantined rows back to the run that rejected them
+ALTER TABLE ingest_rejects
+  ADD COLUMN IF NOT EXISTS run_id BIGINT REFERENCES ingest_runs (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS ingest_rejects_run_id_idx
+  ON ingest_rejects (run_id);
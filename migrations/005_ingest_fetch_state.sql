@@ -0,0 +1,12 @@
+-- 005_ingest_fetch_state.sql
+-- Validators from the last successful fetch of each job's CSV, used to send
+-- conditional requests and to skip sheets whose content has not changed.
+
+CREATE TABLE IF NOT EXISTS ingest_fetch_state (
+  job             TEXT PRIMARY KEY,       -- 'prices' | 'metals'
+  url             TEXT NOT NULL,
+  etag            TEXT,
+  last_modified   TEXT,
+  content_sha256  TEXT NOT NULL,
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
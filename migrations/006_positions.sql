@@ -0,0 +1,33 @@
+-- 006_positions.sql
+-- Holdings loaded by /api/load-positions. positions_latest is replaced on
+-- every load; positions_history keeps each load as a dated snapshot.
+
+CREATE TABLE IF NOT EXISTS positions_latest (
+  id             BIGSERIAL PRIMARY KEY,
+  account        TEXT NOT NULL,
+  ticker         TEXT NOT NULL,
+  quantity       NUMERIC NOT NULL,
+  cost_basis     NUMERIC,                -- total cost of the lot
+  open_date      DATE,
+  run_id         BIGINT REFERENCES ingest_runs (id) ON DELETE SET NULL,
+  loaded_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS positions_latest_account_ticker_idx
+  ON positions_latest (account, ticker);
+
+CREATE TABLE IF NOT EXISTS positions_history (
+  id             BIGSERIAL PRIMARY KEY,
+  snapshot_date  DATE NOT NULL,          -- America/Chicago date of the load
+  account        TEXT NOT NULL,
+  ticker         TEXT NOT NULL,
+  quantity       NUMERIC NOT NULL,
+  cost_basis     NUMERIC,
+  open_date      DATE,
+  run_id         BIGINT REFERENCES ingest_runs (id) ON DELETE SET NULL,
+  loaded_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- "Holdings as of date X" = newest load with snapshot_date <= X
+CREATE INDEX IF NOT EXISTS positions_history_snapshot_idx
+  ON positions_history (snapshot_date DESC, loaded_at DESC);
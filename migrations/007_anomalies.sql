@@ -0,0 +1,11 @@
+-- 007_anomalies.sql
+-- Anomaly checks before a load is committed (lib/anomalies.js): rows held
+-- back land in ingest_rejects with the numbers behind the decision, and
+-- every run records what was flagged and what was done about it.
+
+ALTER TABLE ingest_rejects
+  ADD COLUMN IF NOT EXISTS detail TEXT;   -- e.g. "price=1502 last=150.2 change=+900.0%"
+
+-- { policy, forced, action: none|quarantined|blocked|overridden, flagged: [...] }
+ALTER TABLE ingest_runs
+  ADD COLUMN IF NOT EXISTS anomalies JSONB;
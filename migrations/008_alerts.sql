@@ -0,0 +1,46 @@
+-- 008_alerts.sql
+-- Alert rules checked after every /api/run and /api/metals_run
+-- (lib/alerts.js), and every alert they fired with its delivery results.
+--
+-- kind / params:
+--   ingest_error      { "jobs": ["prices", "metals"], "lookback_minutes": 1440 }
+--   metals_missed     { "by": "16:30", "weekdays_only": true }       (America/Chicago)
+--   stale_ticker      { "tickers": ["AAPL"], "max_age_minutes": 60 }  (tickers optional)
+--   price_threshold   { "ticker": "AAPL", "above": 250, "below": 150 }
+--                     { "metal": "gold", "tenor_months": 1, "above": 4500 }
+--   spread_threshold  { "metal": "gold", "near_tenor": 1, "far_tenor": 12, "below": 0 }
+--
+-- e.g.
+--   INSERT INTO alert_rules (name, kind, params, channels)
+--   VALUES ('gold backwardation', 'spread_threshold',
+--           '{"metal":"gold","near_tenor":1,"far_tenor":12,"below":0}', '{webhook,email}');
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id                BIGSERIAL PRIMARY KEY,
+  name              TEXT NOT NULL UNIQUE,
+  kind              TEXT NOT NULL
+                    CHECK (kind IN ('ingest_error', 'metals_missed', 'stale_ticker',
+                                    'price_threshold', 'spread_threshold')),
+  params            JSONB NOT NULL DEFAULT '{}'::jsonb,
+  channels          TEXT[] NOT NULL DEFAULT '{webhook}',
+  -- The same condition (rule + key) is not re-sent within this window
+  cooldown_minutes  INTEGER NOT NULL DEFAULT 60,
+  enabled           BOOLEAN NOT NULL DEFAULT true,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS alert_events (
+  id           BIGSERIAL PRIMARY KEY,
+  rule_id      BIGINT NOT NULL REFERENCES alert_rules (id) ON DELETE CASCADE,
+  dedupe_key   TEXT NOT NULL,          -- e.g. run:123, stale:AAPL, 2024-06-03
+  message      TEXT NOT NULL,
+  payload      JSONB,
+  deliveries   JSONB,                  -- { webhook: "sent", email: "error: ..." }
+  fired_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS alert_events_rule_key_fired_idx
+  ON alert_events (rule_id, dedupe_key, fired_at DESC);
+
+CREATE INDEX IF NOT EXISTS alert_events_fired_at_idx
+  ON alert_events (fired_at DESC);
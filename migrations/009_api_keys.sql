@@ -0,0 +1,25 @@
+-- 009_api_keys.sql
+-- API keys for lib/auth.js. Only the SHA-256 of a key is stored; the key
+-- itself is shown once when it is created (npm run keys -- create ...).
+-- Keys look like kmwm_<prefix>_<secret>; prefix is public and used to find
+-- the row, the hash is compared in constant time.
+--
+-- Rotation issues a new key under the same name and lets the old one
+-- expire after a grace period, so callers can switch over without downtime.
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id            BIGSERIAL PRIMARY KEY,
+  name          TEXT NOT NULL,          -- who uses it, e.g. 'sheet-button', 'cron'
+  prefix        TEXT NOT NULL UNIQUE,
+  key_hash      TEXT NOT NULL,          -- sha256 hex of the full key
+  scopes        TEXT[] NOT NULL
+                CHECK (scopes <@ ARRAY['ingest', 'read', 'admin']::text[]
+                       AND cardinality(scopes) > 0),
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  expires_at    TIMESTAMPTZ,            -- set on rotation; NULL = no expiry
+  revoked_at    TIMESTAMPTZ,
+  last_used_at  TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS api_keys_name_idx
+  ON api_keys (name);
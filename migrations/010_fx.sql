@@ -0,0 +1,26 @@
+-- 010_fx.sql
+-- FX rates loaded by /api/run from FX_CSV_URL, in the same 15-minute
+-- buckets as prices. Every rate is stored against USD (usd_rate = USD per
+-- 1 unit of currency) whatever pair the sheet quotes, so any two currencies
+-- convert through one lookup each. USD itself is implied (rate 1).
+
+CREATE TABLE IF NOT EXISTS fx_rates_latest (
+  currency  TEXT PRIMARY KEY,           -- ISO 4217, e.g. 'EUR'
+  usd_rate  NUMERIC NOT NULL,
+  pair      TEXT,                       -- as quoted, e.g. 'EURUSD' or 'USDJPY'
+  asof_ts   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  source    TEXT DEFAULT 'gsheet'
+);
+
+CREATE TABLE IF NOT EXISTS fx_rates_history (
+  currency       TEXT NOT NULL,
+  usd_rate       NUMERIC NOT NULL,
+  pair           TEXT,
+  asof_ts        TIMESTAMPTZ NOT NULL,
+  minute_bucket  TIMESTAMPTZ NOT NULL,
+  source         TEXT DEFAULT 'gsheet',
+  PRIMARY KEY (currency, minute_bucket)
+);
+
+CREATE INDEX IF NOT EXISTS fx_rates_history_minute_bucket_idx
+  ON fx_rates_history (minute_bucket);
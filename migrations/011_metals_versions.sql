@@ -0,0 +1,47 @@
+-- 011_metals_versions.sql
+-- Every metals load of an as_of_date becomes an immutable, numbered
+-- snapshot in metals_curve_history, tied to the ingest run that wrote it.
+-- Re-ingesting (force=1, backfill --on-conflict replace) or restoring an
+-- earlier version adds a new snapshot and makes it current; nothing is
+-- deleted. Readers use the current version of each date (lib/curves.js).
+
+CREATE TABLE IF NOT EXISTS metals_curve_versions (
+  id             BIGSERIAL PRIMARY KEY,
+  as_of_date     DATE NOT NULL,
+  version        INTEGER NOT NULL,         -- 1, 2, ... per as_of_date
+  is_current     BOOLEAN NOT NULL DEFAULT false,
+  run_id         BIGINT REFERENCES ingest_runs (id) ON DELETE SET NULL,
+  source         TEXT,                     -- trigger source of the run
+  row_count      INTEGER NOT NULL DEFAULT 0,
+  restored_from  INTEGER,                  -- version copied by a rollback
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (as_of_date, version)
+);
+
+-- At most one current version per date
+CREATE UNIQUE INDEX IF NOT EXISTS metals_curve_versions_current_idx
+  ON metals_curve_versions (as_of_date) WHERE is_current;
+
+ALTER TABLE metals_curve_history
+  ADD COLUMN IF NOT EXISTS version_id BIGINT REFERENCES metals_curve_versions (id);
+
+-- Existing history becomes one current version per as_of_date holding all
+-- of its rows. Earlier loads wrote rows one at a time, each with its own
+-- inserted_at, so there is no reliable load boundary to split on; readers
+-- keep the newest row per tenor within a version, as they did before.
+INSERT INTO metals_curve_versions (as_of_date, version, is_current, source, row_count, created_at)
+SELECT as_of_date, 1, true, 'migrated', count(*), max(inserted_at)
+FROM metals_curve_history
+WHERE version_id IS NULL
+GROUP BY as_of_date;
+
+UPDATE metals_curve_history h
+SET version_id = v.id
+FROM metals_curve_versions v
+WHERE h.version_id IS NULL
+  AND v.as_of_date = h.as_of_date;
+
+ALTER TABLE metals_curve_history ALTER COLUMN version_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS metals_curve_history_version_id_idx
+  ON metals_curve_history (version_id);
@@ -0,0 +1,14 @@
+-- 012_price_source_fetch_state.sql
+-- Price fetch state is kept per source now (job 'prices:<name>', see
+-- lib/sources.js). The single-sheet row moves to the default source's key,
+-- so the first run after the upgrade still sends its validators and skips
+-- an unchanged sheet instead of writing an identical bucket.
+
+INSERT INTO ingest_fetch_state (job, url, etag, last_modified, content_sha256, updated_at)
+SELECT 'prices:gsheet', url, etag, last_modified, content_sha256, updated_at
+FROM ingest_fetch_state
+WHERE job = 'prices'
+ON CONFLICT (job) DO NOTHING;
+
+DELETE FROM ingest_fetch_state
+WHERE job = 'prices';
@@ -0,0 +1,33 @@
+// scripts/alert-sink.js
+// Local stand-in for the webhook and email endpoints in lib/notify.js:
+// prints every POST it receives and answers 200.
+//
+// Usage:
+//   node scripts/alert-sink.js [port]        (default 8787)
+//   ALERT_WEBHOOK_URL=http://localhost:8787/webhook \
+//   ALERT_EMAIL_URL=http://localhost:8787/email ALERT_EMAIL_TO=me@example.com npm run dev
+
+import http from "node:http";
+
+const port = Number(process.argv[2]) || 8787;
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    let parsed = body;
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      // not JSON, print as-is
+    }
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.dir(parsed, { depth: null });
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end('{"ok":true}');
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Alert sink listening on http://localhost:${port} (Ctrl+C to stop)`);
+});
@@ -0,0 +1,82 @@
+// scripts/backfill.js
+// Load historical CSVs into prices_history or metals_curve_history
+// (lib/backfill.js). A directory means every .csv in it, in name order.
+// Usage:
+//   DATABASE_URL=... node scripts/backfill.js prices <file-or-dir> [options]
+//   DATABASE_URL=... node scripts/backfill.js metals <file-or-dir> [options]
+// Options:
+//   --from YYYY-MM-DD --to YYYY-MM-DD   only rows in this range (inclusive)
+//   --on-conflict skip|replace|fail     existing rows (default skip)
+//   --chunk-days N                      days per transaction (default 7)
+//   --source NAME                       ingest_runs / history source tag (default backfill)
+//   --dry-run                           report what would load, write nothing
+
+import pg from "pg";
+import { isISODate } from "../lib/columns.js";
+import { BACKFILL_JOBS, backfill, DEFAULT_CHUNK_DAYS, readBackfillFiles } from "../lib/backfill.js";
+
+const { Client } = pg;
+
+const USAGE = "Usage: backfill.js <prices|metals> <file-or-dir> [--from D] [--to D] [--on-conflict skip|replace|fail] [--chunk-days N] [--source NAME] [--dry-run]";
+
+const VALUE_OPTIONS = ["--from", "--to", "--on-conflict", "--chunk-days", "--source"];
+
+function parseArgs(argv) {
+  const positional = [];
+  const opts = { dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--dry-run") {
+      opts.dryRun = true;
+    } else if (VALUE_OPTIONS.includes(arg)) {
+      if (argv[i + 1] === undefined) throw new Error(`${arg} needs a value`);
+      opts[arg.slice(2)] = argv[++i];
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option ${arg}\n${USAGE}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  const [job, target] = positional;
+  if (!BACKFILL_JOBS[job] || !target) throw new Error(USAGE);
+
+  for (const key of ["from", "to"]) {
+    if (opts[key] !== undefined && !isISODate(opts[key])) throw new Error(`--${key} must be YYYY-MM-DD`);
+  }
+
+  return {
+    job,
+    target,
+    from: opts.from ?? null,
+    to: opts.to ?? null,
+    onConflict: opts["on-conflict"] ?? "skip",
+    chunkDays: opts["chunk-days"] === undefined ? DEFAULT_CHUNK_DAYS : Number(opts["chunk-days"]),
+    source: opts.source ?? "backfill",
+    dryRun: opts.dryRun,
+  };
+}
+
+async function main() {
+  const { target, ...options } = parseArgs(process.argv.slice(2));
+  if (!process.env.DATABASE_URL) throw new Error("Missing DATABASE_URL env var");
+
+  const files = await readBackfillFiles(target);
+
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+
+  try {
+    const result = await backfill(client, { ...options, files });
+    console.log(JSON.stringify(result, null, 2));
+    if (result.status === "error") process.exitCode = 1;
+  } finally {
+    await client.end().catch(() => {});
+  }
+}
+
+main().catch((err) => {
+  console.error("backfill error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+// scripts/bench-writes.js
+// Compares the old per-row price writes (two round-trips per ticker) with
+// the bulk UNNEST path in lib/prices.js.
+//
+// Usage (against a LOCAL Postgres – never point this at Neon prod):
+//   DATABASE_URL=postgres://localhost/kmwm_bench node scripts/bench-writes.js [sizes...]
+//
+// Everything runs in a throwaway schema that is dropped at the end.
+
+import pg from "pg";
+import { applyMigrations } from "../lib/migrate.js";
+import { writePrices } from "../lib/prices.js";
+
+const { Client } = pg;
+
+const SCHEMA = `bench_writes_${process.pid}`;
+const SIZES = process.argv.slice(2).map(Number).filter(Boolean);
+if (!SIZES.length) SIZES.push(1000, 10000);
+
+// The pre-bulk loop from api/run.js, kept here only as the baseline
+async function writePricesPerRow(client, rows, minuteBucket) {
+  for (const r of rows) {
+    const extras = [r.currency, r.bid, r.ask, r.volume, r.exchange];
+    await client.query(
+      `
+      INSERT INTO prices_latest
+        (ticker, price, currency, bid, ask, volume, exchange, asof_ts, source)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, now(), 'gsheet')
+      ON CONFLICT (ticker) DO UPDATE
+      SET price = EXCLUDED.price,
+          currency = EXCLUDED.currency,
+          bid = EXCLUDED.bid,
+          ask = EXCLUDED.ask,
+          volume = EXCLUDED.volume,
+          exchange = EXCLUDED.exchange,
+          asof_ts = EXCLUDED.asof_ts,
+          source = EXCLUDED.source
+      `,
+      [r.ticker, r.price, ...extras]
+    );
+    await client.query(
+      `
+      INSERT INTO prices_history
+        (ticker, price, currency, bid, ask, volume, exchange, asof_ts, minute_bucket, source)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, now(), $8, 'gsheet')
+      ON CONFLICT DO NOTHING
+      `,
+      [r.ticker, r.price, ...extras, minuteBucket]
+    );
+  }
+}
+
+function makeRows(n) {
+  const rows = [];
+  for (let i = 0; i < n; i++) {
+    const price = 10 + (i % 500) + Math.random();
+    rows.push({
+      ticker: `T${String(i).padStart(6, "0")}`,
+      price,
+      currency: "USD",
+      bid: price - 0.01,
+      ask: price + 0.01,
+      volume: 1000 + i,
+      exchange: i % 2 ? "NYSE" : "NASDAQ",
+      source: "gsheet",
+    });
+  }
+  return rows;
+}
+
+async function resetTables(client) {
+  await client.query("TRUNCATE prices_latest, prices_history");
+}
+
+async function timeIt(fn) {
+  const t0 = process.hrtime.bigint();
+  await fn();
+  return Number(process.hrtime.bigint() - t0) / 1e6;
+}
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    throw new Error("Set DATABASE_URL to a local Postgres database");
+  }
+
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+
+  try {
+    await client.query(`CREATE SCHEMA ${SCHEMA}`);
+    await client.query(`SET search_path TO ${SCHEMA}`);
+    await applyMigrations(client, { log() {}, warn() {} });
+
+    const results = [];
+
+    for (const n of SIZES) {
+      const rows = makeRows(n);
+      const bucket = new Date(Date.UTC(2024, 0, 1, 15, 0));
+
+      await resetTables(client);
+      const perRowMs = await timeIt(() => writePricesPerRow(client, rows, bucket));
+
+      await resetTables(client);
+      const bulkMs = await timeIt(() => writePrices(client, rows, bucket));
+
+      const { rows: check } = await client.query(
+        "SELECT (SELECT count(*) FROM prices_latest)::int AS latest, (SELECT count(*) FROM prices_history)::int AS history"
+      );
+      if (check[0].latest !== n || check[0].history !== n) {
+        throw new Error(`bulk write row count mismatch for n=${n}: ${JSON.stringify(check[0])}`);
+      }
+
+      results.push({
+        rows: n,
+        per_row_ms: Math.round(perRowMs),
+        bulk_ms: Math.round(bulkMs),
+        speedup: `${(perRowMs / bulkMs).toFixed(1)}x`,
+      });
+    }
+
+    console.table(results);
+  } finally {
+    await client.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`).catch(() => {});
+    await client.end().catch(() => {});
+  }
+}
+
+main().catch((err) => {
+  console.error("bench-writes error:", err);
+  process.exit(1);
+});
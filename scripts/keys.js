@@ -0,0 +1,74 @@
+// scripts/keys.js
+// Manage API keys (lib/auth.js). New keys are printed once and never stored.
+// Usage:
+//   DATABASE_URL=... node scripts/keys.js list
+//   DATABASE_URL=... node scripts/keys.js create <name> <scope,scope>   # ingest, read, admin
+//   DATABASE_URL=... node scripts/keys.js rotate <name> [grace_minutes] # default 1440
+//   DATABASE_URL=... node scripts/keys.js revoke <name | prefix>
+//   node scripts/keys.js hash <key>      # sha256 for the API_KEYS env var
+
+import pg from "pg";
+import { createKey, hashKey, listKeys, revokeKeys, rotateKey } from "../lib/auth.js";
+
+const { Client } = pg;
+
+const COMMANDS = ["list", "create", "rotate", "revoke", "hash"];
+
+async function main() {
+  const [command = "list", arg1, arg2] = process.argv.slice(2);
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command "${command}" (expected ${COMMANDS.join(", ")})`);
+  }
+
+  if (command === "hash") {
+    if (!arg1) throw new Error("Usage: keys.js hash <key>");
+    console.log(hashKey(arg1));
+    return;
+  }
+
+  if (!process.env.DATABASE_URL) throw new Error("Missing DATABASE_URL env var");
+
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+
+  try {
+    if (command === "list") {
+      console.table(
+        (await listKeys(client)).map((k) => ({
+          name: k.name,
+          prefix: k.prefix,
+          scopes: k.scopes.join(","),
+          active: k.active,
+          expires_at: k.expires_at ? k.expires_at.toISOString() : "",
+          last_used_at: k.last_used_at ? k.last_used_at.toISOString() : "",
+        }))
+      );
+    } else if (command === "create") {
+      if (!arg1 || !arg2) throw new Error("Usage: keys.js create <name> <scope,scope>");
+      const created = await createKey(client, { name: arg1, scopes: arg2.split(",") });
+      console.log(`Created ${created.name} (${created.scopes.join(",")}). Store it now, it is not shown again:`);
+      console.log(created.key);
+    } else if (command === "rotate") {
+      if (!arg1) throw new Error("Usage: keys.js rotate <name> [grace_minutes]");
+      const graceMinutes = arg2 === undefined ? undefined : Number(arg2);
+      const rotated = await rotateKey(client, arg1, { graceMinutes });
+      for (const old of rotated.expiring) {
+        console.log(`Old key ${old.prefix} expires at ${old.expires_at.toISOString()}`);
+      }
+      console.log(`New ${rotated.name} key. Store it now, it is not shown again:`);
+      console.log(rotated.key);
+    } else {
+      if (!arg1) throw new Error("Usage: keys.js revoke <name | prefix>");
+      const byName = await revokeKeys(client, { name: arg1 });
+      const count = byName || (await revokeKeys(client, { prefix: arg1 }));
+      console.log(`Revoked ${count} key(s)`);
+    }
+  } finally {
+    await client.end().catch(() => {});
+  }
+}
+
+main().catch((err) => {
+  console.error("keys error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+// scripts/migrate.js
+// Usage:
+//   DATABASE_URL=... node scripts/migrate.js apply    # apply pending migrations
+//   DATABASE_URL=... node scripts/migrate.js status   # list applied / pending
+
+import pg from "pg";
+import { applyMigrations, migrationStatus } from "../lib/migrate.js";
+
+const { Client } = pg;
+
+async function main() {
+  const command = process.argv[2] || "status";
+  if (!["apply", "status"].includes(command)) {
+    throw new Error(`Unknown command "${command}" (expected apply or status)`);
+  }
+
+  if (!process.env.DATABASE_URL) throw new Error("Missing DATABASE_URL env var");
+
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+
+  try {
+    if (command === "apply") {
+      const applied = await applyMigrations(client);
+      console.log(applied.length ? `Applied: ${applied.join(", ")}` : "Nothing to apply");
+    }
+
+    const status = await migrationStatus(client);
+    console.table(
+      status.map((s) => ({
+        version: s.version,
+        name: s.name,
+        state: s.state,
+        applied_at: s.applied_at ? s.applied_at.toISOString() : "",
+      }))
+    );
+
+    if (status.some((s) => s.state === "changed")) process.exitCode = 1;
+  } finally {
+    await client.end().catch(() => {});
+  }
+}
+
+main().catch((err) => {
+  console.error("migrate error:", err.message);
+  process.exit(1);
+});
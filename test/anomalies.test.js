@@ -0,0 +1,151 @@
+// test/anomalies.test.js
+// Anomaly review (lib/anomalies.js): price and curve checks, peeling the
+// worst tenor so its neighbours aren't flagged with it, jumps confirmed by
+// earlier runs, and what each policy does with the flags.
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { applyAnomalyPolicy, checkCurve, checkPrices } from "../lib/anomalies.js";
+
+const PRICE_LIMITS = { maxJumpPct: 25 };
+const CURVE_LIMITS = { maxJumpPct: 10, maxNeighbourPct: 5, kinkTolerancePct: 1 };
+
+const label = (row) => row.ticker ?? `${row.metal} ${row.tenor_months}m`;
+const reasons = (flags) => flags.map((f) => [label(f.row), f.reason]);
+
+const curve = (metal, prices) =>
+  Object.entries(prices).map(([tenor, price]) => ({ metal, tenor_months: Number(tenor), price }));
+
+test("prices: zero, negative and large moves are flagged", () => {
+  const last = new Map([
+    ["AAPL", 190],
+    ["MSFT", 400],
+    ["TSLA", 250],
+  ]);
+  const flags = checkPrices(
+    [
+      { ticker: "AAPL", price: 0 },
+      { ticker: "MSFT", price: -1 },
+      { ticker: "TSLA", price: 125 },
+      { ticker: "NVDA", price: 1200 },
+      { ticker: "AAPL", price: 199 },
+    ],
+    last,
+    PRICE_LIMITS
+  );
+
+  // NVDA has nothing to compare with; AAPL at 199 is within the limit
+  assert.deepEqual(reasons(flags), [
+    ["AAPL", "zero_price"],
+    ["MSFT", "zero_price"],
+    ["TSLA", "price_jump"],
+  ]);
+  assert.equal(flags[2].detail, "price=125 last=250 change=-50.0% limit=25%");
+});
+
+test("prices: a jump held back at the same level in earlier runs goes through", () => {
+  const last = new Map([["TSLA", 750]]);
+  const key = (r) => `${r.source}:${r.ticker}`;
+  const row = { ticker: "TSLA", source: "sheet", price: 251 };
+  const check = (rows, pending) => reasons(checkPrices(rows, last, PRICE_LIMITS, { pending, key }));
+
+  // A 3-for-1 split seen twice before at ~250
+  const pending = new Map([["sheet:TSLA", [250, 249.5]]]);
+  assert.deepEqual(check([row], pending), []);
+
+  // Pending under another source's key doesn't count
+  assert.deepEqual(check([row], new Map([["vendor:TSLA", [250, 249.5]]])), [["TSLA", "price_jump"]]);
+
+  // Nor does an earlier price this one jumped away from too
+  assert.deepEqual(check([row], new Map([["sheet:TSLA", [250, 1000]]])), [["TSLA", "price_jump"]]);
+
+  // Zero prices are never confirmed
+  assert.deepEqual(check([{ ...row, price: 0 }], new Map([["sheet:TSLA", [0]]])), [["TSLA", "zero_price"]]);
+});
+
+test("curve: day-over-day jumps are checked per metal and tenor", () => {
+  const last = new Map([
+    ["gold|1", 2000],
+    ["silver|1", 30],
+  ]);
+  const flags = checkCurve(
+    [...curve("gold", { 1: 2350, 3: 2360 }), ...curve("silver", { 1: 30.5, 3: 0 })],
+    last,
+    CURVE_LIMITS
+  );
+  assert.deepEqual(reasons(flags), [
+    ["gold 1m", "price_jump"],
+    ["silver 3m", "zero_price"],
+  ]);
+});
+
+test("curve: only the bad tenor is flagged, not the neighbours it distorts", () => {
+  // 3m is ~10% rich; measured against it, 6m looks 6% cheap as well
+  const rows = curve("gold", { 1: 2350, 2: 2355, 3: 2600, 6: 2375, 12: 2400 });
+  const flags = checkCurve(rows, new Map(), CURVE_LIMITS);
+
+  assert.deepEqual(reasons(flags), [["gold 3m", "tenor_outlier"]]);
+  assert.match(flags[0].detail, /^price=2600 neighbours_imply=2360\.0000 deviation=\+10\.2% limit=5%$/);
+});
+
+test("curve: an end tenor is compared with its single neighbour", () => {
+  const flags = checkCurve(curve("gold", { 1: 2100, 3: 2360, 6: 2375 }), new Map(), CURVE_LIMITS);
+  assert.deepEqual(reasons(flags), [["gold 1m", "tenor_outlier"]]);
+});
+
+test("curve: a kink beyond the tolerance is flagged, a smooth curve is not", () => {
+  const check = (prices) => reasons(checkCurve(curve("gold", prices), new Map(), CURVE_LIMITS));
+
+  assert.deepEqual(check({ 1: 2350, 2: 2360, 3: 2330, 6: 2375, 12: 2400 }), [["gold 3m", "non_monotonic"]]);
+  assert.deepEqual(check({ 1: 2350, 2: 2355, 3: 2360, 6: 2375, 12: 2400 }), []);
+});
+
+test("curve: shape checks need at least three tenors", () => {
+  assert.deepEqual(checkCurve(curve("gold", { 1: 2350, 3: 2600 }), new Map(), CURVE_LIMITS), []);
+});
+
+test("policy: quarantine holds back the flagged rows, block holds back all", () => {
+  const rows = [
+    { ticker: "AAPL", price: 0, line: 2, raw: "AAPL,0" },
+    { ticker: "MSFT", price: 410, line: 3, raw: "MSFT,410" },
+    { ticker: "TSLA", price: 125 },
+  ];
+  const flags = checkPrices(rows, new Map([["TSLA", 250]]), PRICE_LIMITS);
+  const key = (r) => r.ticker;
+
+  const quarantined = applyAnomalyPolicy(rows, flags, { policy: "quarantine", key });
+  assert.deepEqual(quarantined.rows, [rows[1]]);
+  assert.equal(quarantined.blocked, false);
+  assert.equal(quarantined.decision.action, "quarantined");
+  // Rows without a CSV line (a vendor feed) fall back to their key
+  assert.deepEqual(
+    quarantined.quarantined.map((q) => [q.line, q.raw, q.reason]),
+    [
+      [2, "AAPL,0", "zero_price"],
+      [0, "TSLA", "price_jump"],
+    ]
+  );
+  // The run keeps each flagged price for loadPendingJumps
+  assert.deepEqual(
+    quarantined.decision.flagged.map((f) => [f.key, f.price, f.reason]),
+    [
+      ["AAPL", 0, "zero_price"],
+      ["TSLA", 125, "price_jump"],
+    ]
+  );
+
+  const blocked = applyAnomalyPolicy(rows, flags, { policy: "block", key });
+  assert.deepEqual([blocked.blocked, blocked.rows, blocked.quarantined], [true, rows, []]);
+});
+
+test("policy: force writes everything and records the override", () => {
+  const rows = [{ ticker: "AAPL", price: 0 }];
+  const flags = checkPrices(rows, new Map(), PRICE_LIMITS);
+  const forced = applyAnomalyPolicy(rows, flags, { policy: "block", force: true, key: (r) => r.ticker });
+
+  assert.deepEqual([forced.blocked, forced.rows, forced.quarantined], [false, rows, []]);
+  assert.deepEqual([forced.decision.action, forced.decision.forced], ["overridden", true]);
+
+  const clean = applyAnomalyPolicy(rows, [], { policy: "block", key: (r) => r.ticker });
+  assert.deepEqual([clean.decision.action, clean.decision.flagged], ["none", []]);
+});
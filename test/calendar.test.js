@@ -0,0 +1,130 @@
+// test/calendar.test.js
+// Exchange calendars (lib/calendar.js): holiday rules with their observed
+// dates, early closes, overrides, the session decision for scheduled runs,
+// and wall-clock <-> instant conversion across the DST switches.
+
+import assert from "node:assert/strict";
+import { before, test } from "node:test";
+
+let cal;
+
+before(async () => {
+  // lib/calendar.js reads overrides once, when it loads
+  process.env.MARKET_CALENDAR_OVERRIDES = JSON.stringify({
+    "*": { "2025-01-09": "closed" },
+    us_equities: { "2024-12-31": "13:00", "2024-03-29": "open" },
+  });
+  cal = await import("../lib/calendar.js");
+});
+
+const closedFor = (calendar, date) => cal.dayInfo(calendar, date).holiday;
+
+test("fixed holidays move to the weekday they are observed on", () => {
+  // Independence Day 2026 is a Saturday, Christmas 2022 a Sunday
+  assert.equal(closedFor("us_equities", "2026-07-03"), "Independence Day");
+  assert.equal(closedFor("us_equities", "2022-12-26"), "Christmas Day");
+  // ...but New Year's Day on a Saturday is not observed the Friday before
+  assert.equal(cal.isBusinessDay("us_equities", "2021-12-31"), true);
+  assert.equal(closedFor("us_equities", "2022-01-01"), "weekend");
+});
+
+test("Good Friday and Juneteenth follow the exchange rules", () => {
+  assert.equal(closedFor("comex", "2024-03-29"), "Good Friday");
+  assert.equal(closedFor("us_equities", "2025-04-18"), "Good Friday");
+  assert.equal(closedFor("comex", "2019-04-19"), "Good Friday");
+  // Juneteenth only from 2022; in 2022 the Sunday holiday is observed Monday
+  assert.equal(cal.isBusinessDay("us_equities", "2021-06-18"), true);
+  assert.equal(closedFor("us_equities", "2022-06-20"), "Juneteenth");
+});
+
+test("floating Monday holidays and Thanksgiving", () => {
+  assert.equal(closedFor("us_equities", "2024-01-15"), "Martin Luther King Jr. Day");
+  assert.equal(closedFor("us_equities", "2024-02-19"), "Presidents' Day");
+  assert.equal(closedFor("us_equities", "2024-05-27"), "Memorial Day");
+  assert.equal(closedFor("us_equities", "2024-09-02"), "Labor Day");
+  assert.equal(closedFor("us_equities", "2024-11-28"), "Thanksgiving Day");
+});
+
+test("early closes differ per calendar", () => {
+  assert.equal(cal.dayInfo("us_equities", "2024-11-29").close, "13:00");
+  assert.equal(cal.dayInfo("comex", "2024-11-29").close, "12:45");
+  // July 3rd is an equities half day only
+  assert.equal(cal.dayInfo("us_equities", "2024-07-03").early_close, "13:00");
+  assert.equal(cal.dayInfo("comex", "2024-07-03").early_close, null);
+  // When July 3rd is the observed holiday it stays closed
+  assert.equal(cal.isBusinessDay("us_equities", "2026-07-03"), false);
+});
+
+test("overrides close, open or shorten a day", () => {
+  const closed = cal.dayInfo("comex", "2025-01-09");
+  assert.equal(closed.business_day, false);
+  assert.equal(closed.holiday, "override");
+
+  const opened = cal.dayInfo("us_equities", "2024-03-29");
+  assert.deepEqual([opened.business_day, opened.close, opened.override], [true, "16:00", true]);
+  // The override is per calendar
+  assert.equal(cal.isBusinessDay("comex", "2024-03-29"), false);
+
+  assert.equal(cal.dayInfo("us_equities", "2024-12-31").early_close, "13:00");
+});
+
+test("previous business day skips weekends and holidays", () => {
+  assert.equal(cal.previousBusinessDay("comex", "2024-04-01"), "2024-03-28");
+  assert.equal(cal.previousBusinessDay("us_equities", "2024-01-16"), "2024-01-12");
+  assert.equal(cal.expectedAsOfDate("comex", "2024-06-08"), "2024-06-07");
+  assert.equal(cal.expectedAsOfDate("comex", "2024-06-07"), "2024-06-07");
+});
+
+test("shouldIngest follows the session, the grace period and early closes", () => {
+  const at = (iso, opts) => cal.shouldIngest("us_equities", new Date(iso), opts);
+
+  assert.deepEqual([at("2024-06-03T13:00:00Z").session, at("2024-06-03T13:00:00Z").ingest], ["pre", false]);
+  assert.deepEqual([at("2024-06-03T13:30:00Z").session, at("2024-06-03T13:30:00Z").ingest], ["open", true]);
+
+  // 16:10 ET: past the close, inside a 20 minute grace
+  const grace = at("2024-06-03T20:10:00Z", { graceMinutes: 20 });
+  assert.deepEqual([grace.session, grace.ingest], ["post", true]);
+  assert.equal(at("2024-06-03T20:10:00Z").ingest, false);
+
+  // Half day: 13:30 ET is after the 13:00 close
+  assert.equal(at("2024-11-29T18:30:00Z", { graceMinutes: 20 }).reason, "after_close: 13:00");
+
+  const holiday = at("2024-11-28T15:00:00Z");
+  assert.deepEqual(
+    [holiday.ingest, holiday.reason, holiday.expected_as_of_date],
+    [false, "closed: Thanksgiving Day", "2024-11-27"]
+  );
+
+  assert.throws(() => cal.shouldIngest("lse", new Date()), /Unknown market calendar/);
+});
+
+test("zonedTime handles both sides of the DST switches", () => {
+  const utc = (date, time) => cal.zonedTime(date, time, "America/New_York").toISOString();
+
+  assert.equal(utc("2024-01-15", "16:00"), "2024-01-15T21:00:00.000Z");
+  assert.equal(utc("2024-07-15", "16:00"), "2024-07-15T20:00:00.000Z");
+  assert.equal(utc("2024-01-15", "16:00:30"), "2024-01-15T21:00:30.000Z");
+
+  // Spring forward (2024-03-10 02:00 EST -> 03:00 EDT)
+  assert.equal(utc("2024-03-10", "01:59"), "2024-03-10T06:59:00.000Z");
+  assert.equal(utc("2024-03-10", "03:00"), "2024-03-10T07:00:00.000Z");
+  assert.equal(utc("2024-03-11", "09:30"), "2024-03-11T13:30:00.000Z");
+
+  // Fall back (2024-11-03 02:00 EDT -> 01:00 EST); 01:30 happens twice,
+  // the first one wins
+  assert.equal(utc("2024-11-03", "01:30"), "2024-11-03T05:30:00.000Z");
+  assert.equal(utc("2024-11-03", "02:00"), "2024-11-03T07:00:00.000Z");
+  assert.equal(utc("2024-11-04", "09:30"), "2024-11-04T14:30:00.000Z");
+
+  // And back through localParts
+  assert.deepEqual(cal.localParts(new Date("2024-11-04T14:30:00Z"), "America/New_York"), {
+    date: "2024-11-04",
+    time: "09:30",
+  });
+});
+
+test("addDays crosses month, year and leap-day boundaries", () => {
+  assert.equal(cal.addDays("2024-02-28", 1), "2024-02-29");
+  assert.equal(cal.addDays("2023-02-28", 1), "2023-03-01");
+  assert.equal(cal.addDays("2025-01-01", -1), "2024-12-31");
+});
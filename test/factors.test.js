@@ -0,0 +1,110 @@
+// test/factors.test.js
+// Macro-factor regression (lib/factors.js): OLS on exact and degenerate
+// inputs, how daily observations are chained, and the rolling model's
+// behaviour before and at a full window.
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { factorObservations, ols, rollingFactorModel } from "../lib/factors.js";
+
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${actual} is not ${expected}`);
+
+// Factor moves that vary independently of each other
+const moves = (n) => Array.from({ length: n }, (_, i) => [Math.sin(i + 1) / 10, Math.cos(3 * i + 2)]);
+
+// Curves whose 1m return is exactly alpha + b1 * d(yld) + b2 * d(dxy)
+function exactCurves(n, [alpha, b1, b2]) {
+  const curves = [];
+  let price = 2000;
+  let yld = 2;
+  let dxy = 104;
+  for (const [i, [dYld, dDxy]] of [[0, 0], ...moves(n - 1)].entries()) {
+    if (i > 0) {
+      yld += dYld;
+      dxy += dDxy;
+      price *= Math.exp(alpha + b1 * dYld + b2 * dDxy);
+    }
+    curves.push({
+      as_of_date: `2024-01-${String(i + 1).padStart(2, "0")}`,
+      real_10yr_yld: yld,
+      dollar_index: dxy,
+      points: [
+        { tenor_months: 1, price },
+        { tenor_months: 3, price: price * 1.01 },
+      ],
+    });
+  }
+  return curves;
+}
+
+test("ols recovers an exact linear relation", () => {
+  const xs = moves(12);
+  const ys = xs.map(([a, b]) => 0.5 + 2 * a - 3 * b);
+  const fit = ols(xs, ys);
+
+  [0.5, 2, -3].forEach((c, i) => close(fit.coef[i], c));
+  close(fit.r2, 1);
+  close(fit.se, 0);
+  assert.equal(fit.residuals.length, 12);
+});
+
+test("ols gives up on too few observations or factors that move together", () => {
+  // Three parameters need more than three observations
+  const xs = moves(3);
+  assert.equal(ols(xs, [1, 2, 3]), null);
+
+  const collinear = moves(10).map(([a]) => [a, 2 * a]);
+  assert.equal(ols(collinear, collinear.map(([a]) => a)), null);
+});
+
+test("ols reports no r2 for a flat series", () => {
+  const fit = ols(moves(8), new Array(8).fill(0.01));
+  assert.equal(fit.r2, null);
+  close(fit.coef[0], 0.01);
+});
+
+test("observations chain day over day and restart after a gap", () => {
+  const curves = exactCurves(5, [0, 0, 0]);
+  // Day 3 has no dollar index and breaks the chain: day 4 has no prior day
+  curves[2] = { ...curves[2], dollar_index: null };
+  const obs = factorObservations(curves);
+
+  assert.deepEqual(obs.map((o) => o.as_of_date), ["2024-01-02", "2024-01-05"]);
+  close(obs[1].d_dollar_index, curves[4].dollar_index - curves[3].dollar_index);
+  close(obs[1].ret, Math.log(curves[4].points[0].price / curves[3].points[0].price));
+});
+
+test("the front month is interpolated, or the shortest tenor when 1m isn't quoted", () => {
+  const day = (as_of_date, points) => ({ as_of_date, real_10yr_yld: 2, dollar_index: 104, points });
+  const obs = factorObservations([
+    day("2024-01-01", [{ tenor_months: 0, price: 100 }, { tenor_months: 2, price: 104 }]),
+    day("2024-01-02", [{ tenor_months: 2, price: 110 }, { tenor_months: 6, price: 120 }]),
+  ]);
+  assert.equal(obs[0].prev_price, 102);
+  assert.equal(obs[0].price, 110);
+});
+
+test("rolling model stays empty until the window fills, then fits it", () => {
+  const rows = rollingFactorModel(exactCurves(16, [0.001, 0.05, -0.02]), { window: 10 });
+
+  assert.equal(rows.length, 15);
+  assert.deepEqual(
+    rows.slice(0, 9).map((r) => [r.observations, r.beta_real_yld, r.fair_value]),
+    Array.from({ length: 9 }, (_, i) => [i + 1, null, null])
+  );
+
+  const last = rows[rows.length - 1];
+  assert.equal(last.observations, 10);
+  close(last.alpha, 0.001, 1e-6);
+  close(last.beta_real_yld, 0.05, 1e-6);
+  close(last.beta_dollar_index, -0.02, 1e-6);
+  assert.equal(last.r2, 1);
+  // An exact fit: the factor moves imply today's price
+  close(last.fair_value, last.price, 1e-3);
+});
+
+test("a window too short for three parameters leaves the model empty", () => {
+  const rows = rollingFactorModel(exactCurves(8, [0, 0.05, -0.02]), { window: 3 });
+  assert.ok(rows.every((r) => r.beta_real_yld === null && r.fair_value === null));
+});
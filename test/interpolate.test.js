@@ -0,0 +1,91 @@
+// test/interpolate.test.js
+// Curve resampling (lib/interpolate.js): exact knots, no extrapolation,
+// and pchip never overshooting the quoted prices, including between the
+// outermost tenors where the end slopes are one-sided.
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { interpolate, parseTenorGrid, parseTenorsParam, resampleCurve } from "../lib/interpolate.js";
+
+const prices = (points, tenors, method) => interpolate(points, tenors, method).map((p) => p.price);
+
+// Quarter-month steps from the first quoted tenor to the last
+const months = (points) => {
+  const xs = points.map((p) => p.tenor_months);
+  const out = [];
+  for (let t = Math.min(...xs); t <= Math.max(...xs); t += 0.25) out.push(t);
+  return out;
+};
+
+const CONTANGO = [
+  { tenor_months: 1, price: 2350 },
+  { tenor_months: 2, price: 2352 },
+  { tenor_months: 6, price: 2398 },
+  { tenor_months: 12, price: 2470 },
+  { tenor_months: 24, price: 2475 },
+];
+
+test("knots come back exactly and out-of-range tenors are null", () => {
+  for (const method of ["linear", "pchip"]) {
+    assert.deepEqual(prices(CONTANGO, [1, 6, 24], method), [2350, 2398, 2475]);
+    assert.deepEqual(prices(CONTANGO, [0, 25, 36], method), [null, null, null]);
+  }
+  assert.deepEqual(prices([], [1, 3], "pchip"), [null, null]);
+});
+
+test("points are sorted and non-finite prices ignored", () => {
+  const [a, b, c, d, e] = CONTANGO;
+  const shuffled = [d, { tenor_months: 3, price: null }, a, e, c, b];
+  assert.deepEqual(prices(shuffled, [3, 9, 18], "pchip"), prices(CONTANGO, [3, 9, 18], "pchip"));
+});
+
+test("linear is the straight line between neighbours", () => {
+  assert.deepEqual(prices(CONTANGO, [4, 18], "linear"), [2375, 2472.5]);
+});
+
+test("pchip keeps a monotone curve monotone up to both ends", () => {
+  for (const curve of [CONTANGO, CONTANGO.map((p) => ({ ...p, price: 5000 - p.price }))]) {
+    const ys = prices(curve, months(curve), "pchip");
+    const rising = curve[curve.length - 1].price > curve[0].price;
+    for (let i = 1; i < ys.length; i++) {
+      assert.ok(rising ? ys[i] >= ys[i - 1] : ys[i] <= ys[i - 1], `not monotone at step ${i}`);
+    }
+  }
+});
+
+test("pchip never overshoots the quoted prices around a turn or a flat", () => {
+  const curve = [
+    { tenor_months: 1, price: 30 },
+    { tenor_months: 3, price: 31 },
+    { tenor_months: 6, price: 31 },
+    { tenor_months: 9, price: 30.2 },
+    { tenor_months: 12, price: 30.6 },
+  ];
+  const ys = prices(curve, months(curve), "pchip");
+  assert.ok(ys.every((y) => y >= 30 && y <= 31), "left the quoted range");
+  // The flat segment stays flat
+  assert.deepEqual(prices(curve, [4, 5], "pchip"), [31, 31]);
+});
+
+test("two points fall back to a straight line", () => {
+  const curve = [CONTANGO[0], CONTANGO[2]];
+  assert.deepEqual(prices(curve, [1, 3.5, 6], "pchip"), prices(curve, [1, 3.5, 6], "linear"));
+});
+
+test("unknown methods throw", () => {
+  assert.throws(() => interpolate(CONTANGO, [1], "spline"), /Unknown interpolation method/);
+});
+
+test("tenor grids are sorted, deduped positive integers", () => {
+  assert.deepEqual(parseTenorGrid(" 12,3,x,3,0,-1,1.5,6 "), [3, 6, 12]);
+  assert.deepEqual(parseTenorsParam(["6", "1"]), [1, 6]);
+  assert.throws(() => parseTenorsParam("0,x"), /bad_tenors/);
+});
+
+test("resampleCurve drops unreachable tenors and keeps what was quoted", () => {
+  const curve = { as_of_date: "2024-06-03", metal: "gold", points: CONTANGO };
+  const out = resampleCurve(curve, { tenors: [1, 3, 36], method: "linear" });
+  assert.deepEqual(out.quoted_tenors, [1, 2, 6, 12, 24]);
+  assert.deepEqual(out.points.map((p) => p.tenor_months), [1, 3]);
+  assert.equal(out.method, "linear");
+});
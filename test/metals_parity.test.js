@@ -0,0 +1,164 @@
+// test/metals_parity.test.js
+// The same metals CSV must produce the same rows whichever endpoint loads
+// it: /api/run (with prices) and /api/metals_run share lib/metals.js.
+// Both handlers run for real against a stubbed pg client that records
+// every query; the sheet is served from a data: URL.
+
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { after, before, mock, test } from "node:test";
+import pg from "pg";
+
+const FIXTURE_DATE = "2024-06-03";
+
+let csv;
+let today;
+let runHandler;
+let metalsRunHandler;
+let parseMetalsCsv;
+
+// Answers every query with no rows, except the RETURNING ones the write
+// path reads an id back from
+function stubClient() {
+  const queries = [];
+  const query = async (sql, params = []) => {
+    const text = typeof sql === "string" ? sql : sql.text;
+    queries.push({ sql: text, params });
+    return { rows: /RETURNING/i.test(text) ? [{ id: queries.length, version: 1 }] : [] };
+  };
+  return {
+    queries,
+    query,
+    connect: async () => {},
+    end: async () => {},
+    release: () => {},
+  };
+}
+
+function stubResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    setHeader() {},
+  };
+}
+
+// The history rows a run wrote, one object per row, in insert order
+function writtenHistory(queries) {
+  const insert = queries.find((q) => /INSERT INTO metals_curve_history/.test(q.sql));
+  assert.ok(insert, "no metals_curve_history insert");
+  const [dates, metals, tenors, prices, yields, dollar, deficit] = insert.params;
+  return metals.map((metal, i) => ({
+    as_of_date: dates[i],
+    metal,
+    tenor_months: tenors[i],
+    price: prices[i],
+    real_10yr_yld: yields[i],
+    dollar_index: dollar[i],
+    deficit_gdp_flag: deficit[i],
+  }));
+}
+
+const writtenLatest = (queries) =>
+  queries.find((q) => /INSERT INTO metals_curve_latest/.test(q.sql))?.params;
+
+// Runs one handler with a fresh stub client behind pg.Client / pg.Pool
+async function runWithStub(handler, query) {
+  const client = stubClient();
+  const mocks = [
+    mock.method(pg.Client.prototype, "connect", client.connect),
+    mock.method(pg.Client.prototype, "query", client.query),
+    mock.method(pg.Client.prototype, "end", client.end),
+    mock.method(pg.Pool.prototype, "connect", async () => client),
+  ];
+  try {
+    const res = stubResponse();
+    await handler({ method: "GET", query, headers: {} }, res);
+    return { res, queries: client.queries };
+  } finally {
+    for (const m of mocks) m.mock.restore();
+  }
+}
+
+before(async () => {
+  // getTodayCT() without loading lib/metals.js (and lib/calendar.js) yet
+  today = new Date().toLocaleDateString("en-CA", { timeZone: "America/Chicago" });
+
+  // Settle today whatever the real calendar says, keep equities closed so
+  // /api/run skips prices and FX, and point both loaders at the fixture.
+  // Set before the handlers load: lib/calendar.js reads overrides once.
+  process.env.MARKET_CALENDAR_OVERRIDES = JSON.stringify({
+    comex: { [today]: "open" },
+    us_equities: { [today]: "closed" },
+  });
+  process.env.AUTH_DISABLED = "1";
+  delete process.env.FX_CSV_URL;
+
+  csv = (await readFile(new URL("./fixtures/metals.csv", import.meta.url), "utf8")).replaceAll(
+    FIXTURE_DATE,
+    today
+  );
+  process.env.METALS_CSV_URL = `data:text/csv,${encodeURIComponent(csv)}`;
+
+  ({ default: runHandler } = await import("../api/run.js"));
+  ({ default: metalsRunHandler } = await import("../api/metals_run.js"));
+  let getTodayCT;
+  ({ getTodayCT, parseMetalsCsv } = await import("../lib/metals.js"));
+  assert.equal(getTodayCT(), today);
+
+  // Keep handler logging out of the test output
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+});
+
+after(() => mock.restoreAll());
+
+test("parser applies one validation policy to the fixture", () => {
+  const { rows, rejects } = parseMetalsCsv(csv);
+
+  assert.deepEqual(
+    rows.map((r) => [r.metal, r.tenor_months, r.price]),
+    [
+      ["gold", 1, 2350.1],
+      ["gold", 3, 2371.4],
+      ["gold", 6, 2398],
+      ["silver", 1, 30.41],
+      ["silver", 6, 31.02],
+    ]
+  );
+  assert.ok(rows.every((r) => r.as_of_date === today && r.deficit_gdp_flag === true));
+  // A missing price is a rejected row, never 0.0
+  assert.deepEqual(
+    rejects.map((r) => r.reason),
+    ["bad_price", "unknown_metal", "non_iso_date"]
+  );
+});
+
+test("/api/run and /api/metals_run write the same metals rows", async () => {
+  const viaRun = await runWithStub(runHandler, {});
+  const viaMetalsRun = await runWithStub(metalsRunHandler, { source: "test" });
+
+  assert.equal(viaRun.res.body.metalsResult.status, "success", JSON.stringify(viaRun.res.body));
+  assert.equal(viaMetalsRun.res.statusCode, 200, JSON.stringify(viaMetalsRun.res.body));
+
+  const { rows } = parseMetalsCsv(csv);
+  const expected = rows.map(({ line, raw, ...row }) => row);
+
+  assert.deepEqual(writtenHistory(viaRun.queries), expected);
+  assert.deepEqual(writtenHistory(viaMetalsRun.queries), expected);
+  assert.deepEqual(writtenLatest(viaRun.queries), writtenLatest(viaMetalsRun.queries));
+
+  // Both record the same rejects
+  const rejectReasons = (queries) =>
+    queries.find((q) => /INSERT INTO ingest_rejects/.test(q.sql))?.params[5];
+  assert.deepEqual(rejectReasons(viaRun.queries), rejectReasons(viaMetalsRun.queries));
+  assert.equal(viaRun.res.body.metalsResult.skipped, 3);
+});
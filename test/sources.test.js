@@ -0,0 +1,116 @@
+// test/sources.test.js
+// Price source selection (lib/sources.js): source configuration, the
+// priority lists, and picking one row per ticker with fallbacks and
+// no_allowed_source rejects.
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { loadPriority, loadSourceConfig, pickBySource } from "../lib/sources.js";
+
+const SOURCES = [
+  { name: "sheet", type: "csv", url: "https://example.test/prices.csv" },
+  { name: "vendor", type: "stub", prices: {} },
+  { name: "backup", type: "stub", prices: {} },
+];
+
+let line = 1;
+const quote = (source, ticker, price) => ({ source, ticker, price, line: ++line, raw: `${ticker},${price}` });
+
+const picked = ({ rows }) => Object.fromEntries(rows.map((r) => [r.ticker, [r.source, r.price]]));
+
+test("without PRICE_SOURCES the sheet URL is the only source", () => {
+  assert.deepEqual(loadSourceConfig({ PRICE_CSV_URL: "https://example.test/p.csv" }), [
+    { name: "gsheet", type: "csv", url: "https://example.test/p.csv" },
+  ]);
+  assert.throws(() => loadSourceConfig({}), /Missing PRICE_CSV_URL/);
+});
+
+test("PRICE_SOURCES must be valid, named once each, with a known type", () => {
+  assert.equal(loadSourceConfig({ PRICE_SOURCES: JSON.stringify(SOURCES) }).length, 3);
+  assert.throws(() => loadSourceConfig({ PRICE_SOURCES: "[" }), /not valid JSON/);
+  assert.throws(() => loadSourceConfig({ PRICE_SOURCES: "[]" }), /non-empty JSON array/);
+  assert.throws(
+    () => loadSourceConfig({ PRICE_SOURCES: JSON.stringify([SOURCES[0], SOURCES[0]]) }),
+    /duplicate name "sheet"/
+  );
+  assert.throws(
+    () => loadSourceConfig({ PRICE_SOURCES: JSON.stringify([{ name: "x", type: "ftp" }]) }),
+    /unknown type "ftp"/
+  );
+});
+
+test("priority defaults to source order and drops unknown names", () => {
+  assert.deepEqual(loadPriority(SOURCES, {}), { default: ["sheet", "vendor", "backup"], byTicker: {} });
+
+  const priority = loadPriority(SOURCES, {
+    PRICE_SOURCE_PRIORITY: JSON.stringify({
+      default: ["vendor", "nope", "sheet"],
+      aapl: ["backup"],
+      MSFT: "vendor",
+    }),
+  });
+  assert.deepEqual(priority, { default: ["vendor", "sheet"], byTicker: { AAPL: ["backup"] } });
+
+  assert.throws(() => loadPriority(SOURCES, { PRICE_SOURCE_PRIORITY: "{" }), /not valid JSON/);
+});
+
+test("each ticker comes from the first source in its list that quotes it", () => {
+  const priority = loadPriority(SOURCES, {
+    PRICE_SOURCE_PRIORITY: JSON.stringify({ MSFT: ["vendor", "sheet"] }),
+  });
+  const result = pickBySource(
+    [
+      quote("vendor", "AAPL", 190),
+      quote("sheet", "AAPL", 191),
+      quote("sheet", "MSFT", 410),
+      quote("vendor", "MSFT", 411),
+      quote("backup", "GOOG", 170),
+      quote("vendor", "GOOG", 171),
+    ],
+    priority
+  );
+
+  assert.deepEqual(picked(result), {
+    AAPL: ["sheet", 191],
+    MSFT: ["vendor", 411],
+    GOOG: ["vendor", 171],
+  });
+  // GOOG missed its first choice
+  assert.deepEqual(result.fallbacks, [{ ticker: "GOOG", source: "vendor", preferred: "sheet" }]);
+  assert.deepEqual(result.unpicked, []);
+});
+
+test("the last row of a ticker within one source wins", () => {
+  const result = pickBySource(
+    [quote("sheet", "AAPL", 190), quote("sheet", "AAPL", 192)],
+    loadPriority(SOURCES, {})
+  );
+  assert.deepEqual(picked(result), { AAPL: ["sheet", 192] });
+});
+
+test("a ticker only quoted by sources its list leaves out is rejected, once per source", () => {
+  const priority = loadPriority(SOURCES, {
+    PRICE_SOURCE_PRIORITY: JSON.stringify({ TSLA: ["sheet"] }),
+  });
+  const vendor = quote("vendor", "TSLA", 250);
+  const backup = quote("backup", "TSLA", 251);
+  const result = pickBySource([vendor, backup, quote("vendor", "AAPL", 190)], priority);
+
+  assert.deepEqual(picked(result), { AAPL: ["vendor", 190] });
+  assert.deepEqual(result.unpicked, [
+    {
+      ticker: "TSLA",
+      line: vendor.line,
+      raw: vendor.raw,
+      reason: "no_allowed_source",
+      detail: "source=vendor allowed=sheet",
+    },
+    {
+      ticker: "TSLA",
+      line: backup.line,
+      raw: backup.raw,
+      reason: "no_allowed_source",
+      detail: "source=backup allowed=sheet",
+    },
+  ]);
+});